@@ -1,79 +1,567 @@
 ABStruct = {};
-ABStruct.create = function(def) {
-  var f = function(dataView) {
-    this.dataView = dataView;
-  };
-  f.prototype = {};
-  var idx = [0];
+
+/**
+  Set to true to have int64 and uint64 getters return Numbers for values
+  that fit in the safe integer range. Typed array fields stay BigInt64Arrays.
+  */
+ABStruct.int64AsNumber = false;
+
+/**
+  Default encoding of string and cstring fields that don't have an
+  @encoding suffix. See TextCodec.js for the supported encodings.
+  */
+ABStruct.encoding = 'ascii';
+
+/**
+  Default byte order of classes created without one, true for
+  little-endian. Like readStruct.endianness, false by default.
+  */
+ABStruct.endianness = false;
+
+/**
+  Creates a class with getters and setters for the fields of def.
+  Instances are created with new MyStruct(dataView, byteOffset), where
+  byteOffset defaults to 0, and have their own zeroed buffer without a
+  dataView. MyStruct.from(object) makes one with the fields of object.
+  Instances have toObject(), toJSON() for JSON.stringify, which turns
+  64-bit integers into Numbers, or strings if they aren't safe integers,
+  clone() for a copy in a new buffer and equals(other) to compare their
+  bytes.
+
+  Fields are number types like 'uint32' or 'float64le', arrays of them
+  like ['int32', 2], fixed-size strings like 'cstring:16' or
+  'string:4@utf8', nested definitions and arrays of them like
+  [{x: 'float32', y: 'float32'}, 8], or classes made by ABStruct.create.
+  Nested structs and arrays of them are accessor objects on the same
+  DataView, and assigning a plain object or array to them sets their
+  fields. Fields can't be named like the properties instances keep their
+  state in, see ABStruct.reserved, or like the methods below.
+
+  Number fields without an le or be suffix are in the byte order given by
+  endianness, true for little-endian, or ABStruct.endianness, and nested
+  definitions inherit it. Number arrays are typed arrays when they are in
+  the native byte order and aligned, and DataView-backed proxies
+  otherwise.
+
+  The class has a byteLength and a layout list with
+  {path, kind, type, offset, size, le} for each field, like layoutOfStruct
+  in structdef.js, where kind is 'number', 'string', 'struct' or 'array'.
+  Arrays have a length, strings an encoding, and the fields of nested
+  structs are listed after them with paths like 'header.width'.
+
+  atomics lists the paths of integer fields, like ['count', 'stats.hits'],
+  that instances can use with atomicLoad(path), atomicStore(path, v),
+  add(path, v), compareExchange(path, expected, v), wait(path, v, timeout)
+  and notify(path, count), the Atomics operations of the same names. They
+  must be aligned to their size within the struct and in the native byte
+  order, or create throws. Instances need to be at an offset aligned to
+  the largest atomic field. isShared is true for instances in a
+  SharedArrayBuffer, and wait and notify throw for the others. wait works
+  on int32 and int64 fields.
+  */
+ABStruct.create = function(def, endianness, atomics) {
+  var f = ABStruct.accessorClass();
+  f.layout = [];
+  f._names = [];
+  var idx = [0], offset, t;
+  var le = endianness == null ? ABStruct.endianness : endianness;
   for (var i in def) {
-    Object.defineProperty(f.prototype, i, ABStruct.getter(def[i], idx));
+    if (ABStruct.reserved.indexOf(i) > -1 || ABStruct.methods.hasOwnProperty(i)) {
+      throw("ABStruct field name " + i + " is reserved");
+    }
+    offset = idx[0];
+    t = ABStruct.resolve(def[i], le);
+    Object.defineProperty(f.prototype, i, ABStruct.getter(t, idx, i));
+    ABStruct.addLayout(f.layout, i, t, offset, idx[0] - offset);
+    f._names.push(i);
+  }
+  f.byteLength = idx[0];
+  (atomics || []).forEach(function(path) {
+    var e = ABStruct.atomicField(f.layout, path);
+    f._atomics[path] = e;
+    f._atomicAlign = Math.max(f._atomicAlign, e.size);
+  });
+  return f;
+};
+
+// Returns the layout entry of atomic field path in layout, or throws if
+// the field can't be used with Atomics.
+ABStruct.atomicField = function(layout, path) {
+  var e = layout.filter(function(e) { return e.path == path; })[0];
+  if (!e || e.kind != 'number' || /^float/.test(e.type)) {
+    throw("Atomic field " + path + " isn't an integer field");
+  } else if (e.offset % e.size != 0) {
+    throw("Atomic field " + path + " isn't aligned");
+  } else if (e.size > 1 && e.le != ABStruct.littleEndian) {
+    throw("Atomic field " + path + " isn't in the native byte order");
+  }
+  return e;
+};
+
+// Returns a one-element typed array on atomic field path of ABStruct
+// instance o, for the Atomics functions.
+ABStruct.atomic = function(o, path) {
+  var e = o.constructor._atomics[path];
+  if (!e) {
+    throw("Not an atomic field: " + path);
+  }
+  return o._views['@' + path] || (o._views['@' + path] =
+    new ABStruct.views[e.type](o.dataView.buffer, o.dataView.byteOffset + o.byteOffset + e.offset, 1));
+};
+
+// Calls Atomics[op] on atomic field path of o with the field values in
+// values, as BigInts for 64-bit fields, and then the arguments in rest.
+ABStruct.atomicOp = function(o, op, path, values, rest) {
+  var a = ABStruct.atomic(o, path), big = a instanceof BigInt64Array || a instanceof BigUint64Array;
+  if ((op == 'wait' || op == 'notify') && !o.isShared) {
+    throw("Atomics " + op + " needs a struct in a SharedArrayBuffer");
+  }
+  var args = [a, 0].concat(values.map(function(v) { return big ? BigInt(v) : v; }), rest || []);
+  var r = Atomics[op].apply(Atomics, args);
+  return typeof r == 'bigint' ? ABStruct.int64Value(r) : r;
+};
+
+/**
+  Creates an accessor class for an array of length elements of type t,
+  for array fields whose elements aren't numbers. Instances have a length
+  and the elements as indexes.
+  */
+ABStruct.arrayOf = function(t, length, endianness) {
+  var f = ABStruct.accessorClass();
+  f.prototype.length = length;
+  f.layout = [];
+  f._names = [];
+  f.element = t = ABStruct.resolve(t, endianness == null ? ABStruct.endianness : endianness);
+  var idx = [0];
+  for (var i=0; i<length; i++) {
+    Object.defineProperty(f.prototype, i, ABStruct.getter(t, idx, i));
+    f._names.push(i);
   }
+  f.byteLength = idx[0];
   return f;
 };
 
-ABStruct.getter = function(t, idx) {
-  var i,g,s;
+// The names of the instance properties that fields would collide with.
+ABStruct.reserved = ['dataView', 'byteOffset', '_views', 'constructor'];
+
+// Makes an empty class for create and arrayOf to add the fields to.
+ABStruct.accessorClass = function() {
+  var f = function(dataView, byteOffset) {
+    this.dataView = dataView || new DataView(new ArrayBuffer(f.byteLength));
+    this.byteOffset = byteOffset || 0;
+    this._views = {};
+    if (!(this.byteOffset >= 0 && this.byteOffset + f.byteLength <= this.dataView.byteLength)) {
+      throw("Struct doesn't fit in the DataView");
+    }
+    if (f._atomicAlign && (this.dataView.byteOffset + this.byteOffset) % f._atomicAlign != 0) {
+      throw("Struct with atomic fields at a misaligned offset");
+    }
+  };
+  f.prototype = Object.create(ABStruct.methods);
+  f.prototype.constructor = f;
+  f._atomics = {};
+  f._atomicAlign = 0;
+  f.from = function(object) {
+    var o = new f();
+    ABStruct.assign(o, object);
+    return o;
+  };
+  return f;
+};
+
+// The methods of create and arrayOf instances.
+ABStruct.methods = {
+  toObject: function() {
+    var names = this.constructor._names;
+    var obj = this.constructor.element ? [] : {}, v;
+    for (var i=0; i<names.length; i++) {
+      v = this[names[i]];
+      obj[names[i]] = v instanceof Object && v.toObject ? v.toObject() :
+        v instanceof Object ? Array.from(v) : v;
+    }
+    return obj;
+  },
+  toJSON: function() {
+    return ABStruct.jsonValue(this.toObject());
+  },
+  clone: function() {
+    var o = new this.constructor();
+    ABStruct.bytes(o).set(ABStruct.bytes(this));
+    return o;
+  },
+  get isShared() {
+    return typeof SharedArrayBuffer != 'undefined' && this.dataView.buffer instanceof SharedArrayBuffer;
+  },
+  atomicLoad: function(path) {
+    return ABStruct.atomicOp(this, 'load', path, []);
+  },
+  atomicStore: function(path, v) {
+    return ABStruct.atomicOp(this, 'store', path, [v]);
+  },
+  add: function(path, v) {
+    return ABStruct.atomicOp(this, 'add', path, [v]);
+  },
+  compareExchange: function(path, expected, v) {
+    return ABStruct.atomicOp(this, 'compareExchange', path, [expected, v]);
+  },
+  wait: function(path, v, timeout) {
+    return ABStruct.atomicOp(this, 'wait', path, [v], timeout == null ? [] : [timeout]);
+  },
+  notify: function(path, count) {
+    return ABStruct.atomicOp(this, 'notify', path, [], count == null ? [] : [count]);
+  },
+  equals: function(other) {
+    var a = ABStruct.bytes(this), b;
+    if (other == null || other.constructor.byteLength != a.length) {
+      return false;
+    }
+    b = ABStruct.bytes(other);
+    for (var i=0; i<a.length; i++) {
+      if (a[i] != b[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+};
+
+// Replaces the BigInts in the result v of toObject with Numbers, or with
+// strings if they aren't safe integers, and returns v.
+ABStruct.jsonValue = function(v) {
+  if (typeof v == 'bigint') {
+    return v <= Number.MAX_SAFE_INTEGER && v >= -Number.MAX_SAFE_INTEGER ? Number(v) : String(v);
+  } else if (v instanceof Object) {
+    for (var k in v) {
+      v[k] = ABStruct.jsonValue(v[k]);
+    }
+  }
+  return v;
+};
+
+// The bytes of ABStruct instance o.
+ABStruct.bytes = function(o) {
+  return new Uint8Array(o.dataView.buffer, o.dataView.byteOffset + o.byteOffset, o.constructor.byteLength);
+};
+
+/**
+  Creates a class for arrays of records of def, or of an ABStruct class,
+  packed one after another. Instances are created with
+  new Records(dataView, byteOffset, length), where length defaults to as
+  many records as fit in the DataView after byteOffset.
+
+  get(i) returns the record at index i, and get(i, record) moves record
+  there instead of making a new one, for a flyweight cursor. Records
+  arrays have a length and byteLength, iterate over their records, and
+  set(objects, index) sets the fields of the records from index on from an
+  array of objects. column(path) returns an array-like of a number field
+  of every record, like column('position.x'). Without a dataView, records
+  arrays have their own buffer of length records, Records.from(objects)
+  makes one from an array of objects, and toObject() returns an array of
+  the records as objects.
+  */
+ABStruct.createArray = function(def, endianness) {
+  var record = typeof def == 'function' ? def : ABStruct.create(def, endianness);
+  var size = record.byteLength;
+  if (record._atomicAlign && size % record._atomicAlign != 0) {
+    throw("Records with atomic fields need a size that keeps them aligned");
+  }
+  var f = function(dataView, byteOffset, length) {
+    this.dataView = dataView || new DataView(new ArrayBuffer(length * size));
+    this.byteOffset = byteOffset || 0;
+    this.length = length == null ? Math.floor((this.dataView.byteLength - this.byteOffset) / size) : length;
+    this.byteLength = this.length * size;
+    if (!(this.byteOffset >= 0 && this.byteOffset + this.byteLength <= this.dataView.byteLength)) {
+      throw("Records array doesn't fit in the DataView");
+    }
+    if (record._atomicAlign && (this.dataView.byteOffset + this.byteOffset) % record._atomicAlign != 0) {
+      throw("Records with atomic fields at a misaligned offset");
+    }
+  };
+  f.record = record;
+  f.from = function(objects) {
+    var a = new f(null, 0, objects.length);
+    a.set(objects);
+    return a;
+  };
+  f.prototype = {
+    get: function(i, r) {
+      if (!(i >= 0 && i < this.length)) {
+        throw("Index out of range: " + i);
+      }
+      if (r == null) {
+        return new record(this.dataView, this.byteOffset + i*size);
+      }
+      r.dataView = this.dataView;
+      r.byteOffset = this.byteOffset + i*size;
+      r._views = {};
+      return r;
+    },
+    set: function(objects, index) {
+      var r = null;
+      index = index || 0;
+      for (var i=0; i<objects.length; i++) {
+        r = this.get(index + i, r);
+        ABStruct.assign(r, objects[i]);
+      }
+    },
+    column: function(path) {
+      for (var i=0; i<record.layout.length; i++) {
+        var e = record.layout[i];
+        if (e.path == path && e.kind == 'number') {
+          return ABStruct.numberArray(this.dataView, this.byteOffset + e.offset, e, this.length, size);
+        }
+      }
+      throw("No number field " + path);
+    },
+    toObject: function() {
+      return Array.from(this, function(r) { return r.toObject(); });
+    },
+    toJSON: function() {
+      return ABStruct.jsonValue(this.toObject());
+    }
+  };
+  f.prototype[Symbol.iterator] = function() {
+    var a = this, i = 0;
+    return {next: function() {
+      return i < a.length ? {value: a.get(i++), done: false} : {value: undefined, done: true};
+    }};
+  };
+  return f;
+};
+
+// Sets the fields of ABStruct instance o that v has.
+ABStruct.assign = function(o, v) {
+  var names = o.constructor._names;
+  for (var j=0; j<names.length; j++) {
+    if (names[j] in v) {
+      o[names[j]] = v[names[j]];
+    }
+  }
+};
+
+// Turns nested definitions and arrays of non-number elements into classes,
+// and gives number types without a suffix the byte order le.
+ABStruct.resolve = function(t, le) {
+  var n = typeof t == 'string' && ABStruct.numberType(t);
+  if (n) {
+    return n.le == null && ABStruct.lengths[n.type] > 1 ? t + (le ? 'le' : 'be') : t;
+  } else if (t instanceof Array && typeof t[0] == 'string' && ABStruct.numberType(t[0])) {
+    return [ABStruct.resolve(t[0], le), t[1]];
+  } else if (t instanceof Array) {
+    return ABStruct.arrayOf(t[0], t[1], le);
+  } else if (t && typeof t == 'object') {
+    return ABStruct.create(t, le);
+  }
+  return t;
+};
+
+/**
+  Splits a number type like 'uint32le' into {type, le}, where le is true
+  for an le suffix, false for be and null without either. Returns null if
+  t isn't a number type.
+  */
+ABStruct.numberType = function(t) {
+  var m = /^(u?int(?:8|16|32|64)|float(?:32|64))(le|be)?$/.exec(t);
+  return m && {type: m[1], le: m[2] ? m[2] == 'le' : null};
+};
+
+ABStruct.addLayout = function(layout, name, t, offset, size) {
+  var entry = {path: name, kind: 'number', type: t, offset: offset, size: size, le: null};
+  var s = typeof t == 'string' && ABStruct.stringType(t);
+  var n = ABStruct.numberType(t instanceof Array ? t[0] : t);
+  layout.push(entry);
+  if (n) {
+    entry.type = n.type;
+    entry.le = n.le;
+  }
+  if (s) {
+    entry.kind = 'string';
+    entry.type = s.type;
+    entry.encoding = s.encoding;
+  } else if (t instanceof Array) {
+    entry.kind = 'array';
+    entry.length = t[1];
+  } else if (t.element) {
+    var e = [];
+    ABStruct.addLayout(e, '', t.element, 0, 0);
+    entry.kind = 'array';
+    entry.type = e[0].kind == 'array' ? 'array' : e[0].type;
+    entry.length = t.prototype.length;
+  } else if (typeof t == 'function') {
+    entry.kind = 'struct';
+    entry.type = 'struct';
+    t.layout.forEach(function(f) {
+      var copy = {};
+      for (var k in f) {
+        copy[k] = f[k];
+      }
+      copy.path = name + '.' + f.path;
+      copy.offset += offset;
+      layout.push(copy);
+    });
+  }
+};
+
+/**
+  Splits a string type like 'cstring:16@utf8' into {type, size, encoding},
+  or returns null if t isn't a string type. Strings need a size.
+  */
+ABStruct.stringType = function(t) {
+  var m = /^(c?string)(?::(\d+))?(?:@(.+))?$/.exec(t);
+  if (!m) {
+    return null;
+  }
+  if (!m[2]) {
+    throw("ABStruct string fields need a size: " + t);
+  }
+  return {type: m[1], size: parseInt(m[2]), encoding: m[3] || ABStruct.encoding};
+};
+
+ABStruct.getter = function(t, idx, name) {
+  var i,g,s,n;
   i = idx[0];
-  if (typeof t == 'string') {
-    idx[0] += this.lengths[t];
-    g = this.getters[t];
-    s = this.setters[t];
+  if (typeof t == 'string' && (n = this.numberType(t))) {
+    idx[0] += this.lengths[n.type];
+    g = this.getters[n.type];
+    s = this.setters[n.type];
+    var le = !!n.le;
+    return {
+      get: function() { return g(this.dataView, this.byteOffset+i, le); },
+      set: function(v) { s(this.dataView, this.byteOffset+i, v, le); }
+    };
+  } else if (typeof t == 'string' && (s = this.stringType(t))) {
+    idx[0] += s.size;
     return {
-      get: function() { return g(this.dataView, i); },
-      set: function(v) { s(this.dataView, i, v); }
+      get: function() { return ABStruct.decodeString(this.dataView, this.byteOffset+i, s); },
+      set: function(v) { ABStruct.encodeString(this.dataView, this.byteOffset+i, s, v); }
     };
   } else if (t instanceof Array) {
     var len = t[1];
-    t = t[0];
-    idx[0] += this.lengths[t]*len;
-    var v = this.views[t];
-    var abv = null;
+    n = this.numberType(t[0]);
+    var v = this.views[n.type], size = this.lengths[n.type];
+    var native = size == 1 || n.le == this.littleEndian;
+    idx[0] += size*len;
+    var view = function(o) {
+      var at = o.dataView.byteOffset+o.byteOffset+i;
+      return o._views[name] || (o._views[name] = native && at % size == 0
+        ? new v(o.dataView.buffer, at, len)
+        : ABStruct.numberArray(o.dataView, o.byteOffset+i, n, len));
+    };
     return {
-      get: function() {
-        if (abv == null) {
-          abv = new v(this.dataView.buffer, this.dataView.byteOffset+i, len);
-        }
-        return abv; 
-      },
+      get: function() { return view(this); },
       set: function(nv) {
-        if (abv == null) {
-          abv = new v(this.dataView.buffer, this.dataView.byteOffset+i, len);
-        }
-        for (var i=0; i<abv.length; i++) {
-          abv[i] = nv[i];
+        var abv = view(this);
+        for (var j=0; j<abv.length; j++) {
+          abv[j] = nv[j];
         }
       }
     };
+  } else if (typeof t == 'function') {
+    idx[0] += t.byteLength;
+    var nested = function(o) {
+      return o._views[name] || (o._views[name] = new t(o.dataView, o.byteOffset+i));
+    };
+    return {
+      get: function() { return nested(this); },
+      set: function(nv) { ABStruct.assign(nested(this), nv); }
+    };
   }
+  throw("Unknown ABStruct type " + JSON.stringify(t));
 };
 
+/**
+  Returns an iterable array-like proxy for length numbers of type n at
+  byte i of dataView, stride bytes apart, for number arrays that can't be
+  typed arrays and for record array columns. stride defaults to the size
+  of the numbers.
+  */
+ABStruct.numberArray = function(dataView, i, n, length, stride) {
+  var g = this.getters[n.type], s = this.setters[n.type], le = !!n.le;
+  var target = {length: length};
+  target[Symbol.iterator] = Array.prototype.values;
+  stride = stride || this.lengths[n.type];
+  var index = function(k) {
+    return typeof k == 'string' && /^\d+$/.test(k) && +k < length ? +k : -1;
+  };
+  return new Proxy(target, {
+    get: function(target, k) {
+      var j = index(k);
+      return j < 0 ? target[k] : g(dataView, i+j*stride, le);
+    },
+    set: function(target, k, v) {
+      var j = index(k);
+      if (j < 0) {
+        return false;
+      }
+      s(dataView, i+j*stride, v, le);
+      return true;
+    },
+    has: function(target, k) {
+      return index(k) > -1 || k in target;
+    }
+  });
+};
+
+// Decodes the string field of type s at byte i of dataView.
+ABStruct.decodeString = function(dataView, i, s) {
+  var u8 = new Uint8Array(dataView.buffer, dataView.byteOffset+i, s.size);
+  if (s.type == 'cstring') {
+    u8 = u8.subarray(0, TextCodec.indexOfTerminator(u8, s.encoding));
+  }
+  return TextCodec.decode(u8, s.encoding);
+};
+
+// Writes v to the string field of type s at byte i of dataView,
+// truncated to the field and zero-padded.
+ABStruct.encodeString = function(dataView, i, s, v) {
+  var u8 = new Uint8Array(dataView.buffer, dataView.byteOffset+i, s.size);
+  var e = TextCodec.encode(String(v), s.encoding, s.size);
+  u8.set(e);
+  u8.fill(0, e.length);
+};
+
+ABStruct.littleEndian = new Int8Array(new Int16Array([1]).buffer)[0] > 0;
+
 ABStruct.lengths = {
   int8: 1, uint8: 1,
   int16: 2, uint16: 2,
   int32: 4, uint32: 4, 
+  int64: 8, uint64: 8,
   float32: 4, float64: 8
 };
 
+ABStruct.int64Value = function(v) {
+  if (ABStruct.int64AsNumber &&
+      v <= Number.MAX_SAFE_INTEGER && v >= -Number.MAX_SAFE_INTEGER) {
+    return Number(v);
+  }
+  return v;
+};
+
 ABStruct.getters = {
   int8: function(dv, i){ return dv.getInt8(i); },
   uint8: function(dv, i){ return dv.getUint8(i); },
-  int16: function(dv, i){ return dv.getInt16(i); },
-  uint16: function(dv, i){ return dv.getUint16(i); },
-  int32: function(dv, i){ return dv.getInt32(i); },
-  uint32: function(dv, i){ return dv.getUint32(i); },
-  float32: function(dv, i){ return dv.getFloat32(i); },
-  float64: function(dv, i){ return dv.getFloat64(i); }
+  int16: function(dv, i, le){ return dv.getInt16(i, le); },
+  uint16: function(dv, i, le){ return dv.getUint16(i, le); },
+  int32: function(dv, i, le){ return dv.getInt32(i, le); },
+  uint32: function(dv, i, le){ return dv.getUint32(i, le); },
+  int64: function(dv, i, le){ return ABStruct.int64Value(dv.getBigInt64(i, le)); },
+  uint64: function(dv, i, le){ return ABStruct.int64Value(dv.getBigUint64(i, le)); },
+  float32: function(dv, i, le){ return dv.getFloat32(i, le); },
+  float64: function(dv, i, le){ return dv.getFloat64(i, le); }
 };
 
 ABStruct.setters = {
-  int8: function(dv, i, v){ return dv.setInt8(i,v); },
-  uint8: function(dv, i, v){ return dv.setUint8(i,v); },
-  int16: function(dv, i, v){ return dv.setInt16(i,v); },
-  uint16: function(dv, i, v){ return dv.setUint16(i,v); },
-  int32: function(dv, i, v){ return dv.setInt32(i,v); },
-  uint32: function(dv, i, v){ return dv.setUint32(i,v); },
-  float32: function(dv, i, v){ return dv.setFloat32(i,v); },
-  float64: function(dv, i, v){ return dv.setFloat64(i,v); }
+  int8: function(dv, i, v){ return dv.setInt8(i, v); },
+  uint8: function(dv, i, v){ return dv.setUint8(i, v); },
+  int16: function(dv, i, v, le){ return dv.setInt16(i, v, le); },
+  uint16: function(dv, i, v, le){ return dv.setUint16(i, v, le); },
+  int32: function(dv, i, v, le){ return dv.setInt32(i, v, le); },
+  uint32: function(dv, i, v, le){ return dv.setUint32(i, v, le); },
+  int64: function(dv, i, v, le){ return dv.setBigInt64(i, BigInt(v), le); },
+  uint64: function(dv, i, v, le){ return dv.setBigUint64(i, BigInt(v), le); },
+  float32: function(dv, i, v, le){ return dv.setFloat32(i, v, le); },
+  float64: function(dv, i, v, le){ return dv.setFloat64(i, v, le); }
 };
 
 ABStruct.views = {
@@ -83,6 +571,8 @@ ABStruct.views = {
   uint16: Uint16Array,
   int32: Int32Array,
   uint32: Uint32Array,
+  int64: BigInt64Array,
+  uint64: BigUint64Array,
   float32: Float32Array,
   float64: Float64Array
 };
@@ -110,4 +600,4 @@ s.points[0] = 23;
 s.points[1] = -300;
 
 var u8 = new Uint8Array(dv.buffer);
-// [136, 255, 255, 68, 4, 0, 3, 0, 63, 129, 41, 136, 143, 134, 26, 97, 68, 160, 140, 205, 70, 2, 252, 205, 23, 0, 0, 0, 212, 254, 255, 255]
+// [136, 255, 255, 68, 4, 0, 3, 0, 63, 129, 41, 136, 143, 134, 26, 97, 68, 160, 140, 205, 70, 2, 252, 205, 0, 0, 0, 23, 255, 255, 254, 212]
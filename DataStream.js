@@ -20,6 +20,7 @@ DataStream = function(arrayBuffer, byteOffset, endianness) {
   }
   this.position = 0;
   this.endianness = endianness == null ? DataStream.LITTLE_ENDIAN : endianness;
+  this._following = [];
 };
 DataStream.prototype = {};
 
@@ -136,7 +137,7 @@ DataStream.prototype._realloc = function(extra) {
 };
 
 DataStream.prototype._trimAlloc = function() {
-  if (this._byteLength == this._buffer.byteLength) {
+  if (this._byteLength == this._buffer.byteLength || !this._dynamicSize) {
     return;
   }
   var buf = new ArrayBuffer(this._byteLength);
@@ -153,6 +154,7 @@ DataStream.prototype._trimAlloc = function() {
 DataStream.prototype.seek = function(pos) {
   var npos = Math.max(0, Math.min(this.byteLength, pos));
   this.position = (isNaN(npos) || !isFinite(npos)) ? 0 : npos;
+  this._bitOffset = 0;
 };
 
 /**
@@ -160,10 +162,59 @@ DataStream.prototype.seek = function(pos) {
   no more data to read.
   */
 DataStream.prototype.isEof = function() {
-  return (this.position >= this._byteLength);
+  return (this.position >= this.byteLength);
+};
+
+/**
+  Returns a DataStream over the next length bytes, or over the rest of the
+  data if there are fewer, and moves the position past them. Reads from it
+  end at its end, so a chunk with a declared length can't be read past,
+  and its positions start from the start of the chunk. It shares the buffer
+  and the options of this DataStream, and doesn't grow when written to.
+
+  @param {Number} length Byte length of the substream.
+  @return {DataStream} The substream.
+  */
+DataStream.prototype.substream = function(length) {
+  this.alignToByte();
+  var n = Math.max(0, Math.min(length, this.byteLength - this.position));
+  var ds = new DataStream(0, 0, this.endianness);
+  ds._dynamicSize = false;
+  ds._buffer = this._buffer;
+  ds._byteOffset = this._byteOffset + this.position;
+  ds._byteLength = ds._byteOffset + n;
+  ds._dataView = new DataView(ds._buffer, ds._byteOffset, n);
+  ds.encoding = this.encoding;
+  ds.int64AsNumber = this.int64AsNumber;
+  ds.strict = this.strict;
+  this.position += n;
+  return ds;
+};
+
+/**
+  Whether readInt64 and readUint64 return Numbers instead of BigInts for
+  values that fit in the safe integer range. 64-bit arrays are always
+  BigInt64Arrays and BigUint64Arrays.
+  */
+DataStream.prototype.int64AsNumber = false;
+
+DataStream.prototype._int64Value = function(v) {
+  if (this.int64AsNumber &&
+      v <= Number.MAX_SAFE_INTEGER && v >= -Number.MAX_SAFE_INTEGER) {
+    return Number(v);
+  }
+  return v;
 };
 
 
+DataStream.prototype.mapInt64Array = function(length, e) {
+  this._realloc(length * 8);
+  var arr = new BigInt64Array(this.buffer, this.byteOffset+this.position, length);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += length * 8;
+  return arr;
+};
+
 DataStream.prototype.mapInt32Array = function(length, e) {
   this._realloc(length * 4);
   var arr = new Int32Array(this.buffer, this.byteOffset+this.position, length);
@@ -187,6 +238,14 @@ DataStream.prototype.mapInt8Array = function(length) {
   return arr;
 };
 
+DataStream.prototype.mapUint64Array = function(length, e) {
+  this._realloc(length * 8);
+  var arr = new BigUint64Array(this.buffer, this.byteOffset+this.position, length);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += length * 8;
+  return arr;
+};
+
 DataStream.prototype.mapUint32Array = function(length, e) {
   this._realloc(length * 4);
   var arr = new Uint32Array(this.buffer, this.byteOffset+this.position, length);
@@ -227,6 +286,16 @@ DataStream.prototype.mapFloat32Array = function(length, e) {
 };
 
 
+DataStream.prototype.readInt64Array = function(length, e) {
+  length = length == null ? ((this.byteLength-this.position) / 8) : length;
+  var arr = new BigInt64Array(length);
+  for (var i=0; i<length; i++) {
+    arr[i] = this._dataView.getBigInt64(this.position, e == null ? this.endianness : e);
+    this.position += 8;
+  }
+  return arr;
+};
+
 DataStream.prototype.readInt32Array = function(length, e) {
   length = length == null ? (this.byteLength-this.position / 4) : length;
   var arr = new Int32Array(length);
@@ -254,6 +323,16 @@ DataStream.prototype.readInt8Array = function(length) {
   return arr;
 };
 
+DataStream.prototype.readUint64Array = function(length, e) {
+  length = length == null ? ((this.byteLength-this.position) / 8) : length;
+  var arr = new BigUint64Array(length);
+  for (var i=0; i<length; i++) {
+    arr[i] = this._dataView.getBigUint64(this.position, e == null ? this.endianness : e);
+    this.position += 8;
+  }
+  return arr;
+};
+
 DataStream.prototype.readUint32Array = function(length, e) {
   length = length == null ? (this.byteLength-this.position / 4) : length;
   var arr = new Uint32Array(length);
@@ -300,6 +379,13 @@ DataStream.prototype.readFloat32Array = function(length, e) {
 };
 
 
+DataStream.prototype.writeInt64Array = function(arr, e) {
+  this._realloc(arr.length * 8);
+  for (var i=0; i<arr.length; i++) {
+    this.writeInt64(arr[i], e);
+  }
+};
+
 DataStream.prototype.writeInt32Array = function(arr, e) {
   this._realloc(arr.length * 4);
   for (var i=0; i<arr.length; i++) {
@@ -321,6 +407,13 @@ DataStream.prototype.writeInt8Array = function(arr) {
   }
 };
 
+DataStream.prototype.writeUint64Array = function(arr, e) {
+  this._realloc(arr.length * 8);
+  for (var i=0; i<arr.length; i++) {
+    this.writeUint64(arr[i], e);
+  }
+};
+
 DataStream.prototype.writeUint32Array = function(arr, e) {
   this._realloc(arr.length * 4);
   for (var i=0; i<arr.length; i++) {
@@ -357,6 +450,11 @@ DataStream.prototype.writeFloat32Array = function(arr, e) {
 };
 
 
+DataStream.prototype.readInt64 = function(e) {
+  var v = this._dataView.getBigInt64(this.position, e == null ? this.endianness : e);
+  this.position += 8;
+  return this._int64Value(v);
+};
 
 DataStream.prototype.readInt32 = function(e) {
   var v = this._dataView.getInt32(this.position, e == null ? this.endianness : e);
@@ -376,6 +474,12 @@ DataStream.prototype.readInt8 = function() {
   return v;
 };
 
+DataStream.prototype.readUint64 = function(e) {
+  var v = this._dataView.getBigUint64(this.position, e == null ? this.endianness : e);
+  this.position += 8;
+  return this._int64Value(v);
+};
+
 DataStream.prototype.readUint32 = function(e) {
   var v = this._dataView.getUint32(this.position, e == null ? this.endianness : e);
   this.position += 4;
@@ -407,6 +511,12 @@ DataStream.prototype.readFloat64 = function(e) {
 };
 
 
+DataStream.prototype.writeInt64 = function(v, e) {
+  this._realloc(8);
+  this._dataView.setBigInt64(this.position, BigInt(v), e == null ? this.endianness : e);
+  this.position += 8;
+};
+
 DataStream.prototype.writeInt32 = function(v, e) {
   this._realloc(4);
   this._dataView.setInt32(this.position, v, e == null ? this.endianness : e);
@@ -425,6 +535,12 @@ DataStream.prototype.writeInt8 = function(v) {
   this.position += 1;
 };
 
+DataStream.prototype.writeUint64 = function(v, e) {
+  this._realloc(8);
+  this._dataView.setBigUint64(this.position, BigInt(v), e == null ? this.endianness : e);
+  this.position += 8;
+};
+
 DataStream.prototype.writeUint32 = function(v, e) {
   this._realloc(4);
   this._dataView.setUint32(this.position, v, e == null ? this.endianness : e);
@@ -486,24 +602,59 @@ DataStream.flipArrayEndianness = function(array) {
   return array;
 };
 
+/**
+  Offset of the field that the last failed readStruct or readType call
+  stopped at.
+  */
 DataStream.prototype.failurePosition = 0;
 
+/**
+  Set to true to have readStruct throw a StructParseError when it fails,
+  instead of returning null.
+  */
+DataStream.prototype.strict = false;
+
+/**
+  The StructParseError for the last failed read.
+  */
+DataStream.prototype.lastError = null;
+
+DataStream.prototype._depth = 0;
+DataStream.prototype._fieldStart = 0;
+DataStream.prototype._mapArrays = false;
+DataStream.prototype._pack = null;
+DataStream.prototype._structStart = 0;
+DataStream.prototype._pointers = null;
+
+/**
+  Reads a struct with the structdef.js engine, which must be loaded before
+  DataStream.js. The definition is a ['name', type, ...] pair list or a
+  {name: type} object, with the types of readType. Returns null if the
+  struct doesn't parse, with lastError describing why, and leaves the
+  position where it was.
+  */
 DataStream.prototype.readStruct = function(structDefinition) {
-  var struct = {}, t, v, n;
-  var p = this.position;
-  for (var i=0; i<structDefinition.length; i+=2) {
-    t = structDefinition[i+1];
-    v = this.readType(t, struct);
-    if (v == null) {
-      if (this.failurePosition == 0) {
-        this.failurePosition = this.position;
-      }
-      this.position = p;
-      return null;
+  return this._read(function(dataView, idx) {
+    return StructDef._engine.readOutermost(dataView, idx, structDefinition);
+  });
+};
+
+/**
+  Records why the current field failed to parse and returns null.
+  Custom types can use it to report what they expected:
+
+    function(ds) {
+      var t = ds.readUint16();
+      return t == 0xFFD8 ? t : ds.parseError('not a JPEG', 0xFFD8, t);
     }
-    struct[structDefinition[i]] = v;
-  }
-  return struct;
+
+  @param {String} reason Description of the failure.
+  @param {?*} expected The expected value.
+  @param {?*} actual The value that was read.
+  */
+DataStream.prototype.parseError = function(reason, expected, actual) {
+  this.lastError = new StructParseError(reason, this._fieldStart, null, expected, actual);
+  return null;
 };
 
 DataStream.prototype.readUTF16String = function(length, endianness) {
@@ -522,363 +673,271 @@ DataStream.prototype.writeUTF16String = function(str, endianness, lengthOverride
   }
 };
 
+/**
+  Default encoding of the string and cstring types and of readString,
+  writeString, readCString and writeCString.
+  See TextCodec.js for the supported encodings.
+  */
+DataStream.prototype.encoding = 'ascii';
+
+/**
+  Reads length bytes and decodes them as a string.
+  Reads to the end of the DataStream if length is not given.
+  */
 DataStream.prototype.readString = function(length, encoding) {
-  if (encoding == null || encoding == "ASCII") {
-    return String.fromCharCode.apply(null, this.mapUint8Array(length == null ? this.byteLength-this.position : length));
-  } else {
-    throw("Unsupported encoding " + encoding);
-  }
+  return TextCodec.decode(
+    this.mapUint8Array(length == null ? this.byteLength-this.position : length),
+    encoding == null ? this.encoding : encoding);
 };
 
+/**
+  Writes string s. If length is given, the encoded string is truncated to
+  length bytes without splitting a character and zero-padded to length bytes.
+  Otherwise the string is followed by a zero byte.
+  */
 DataStream.prototype.writeString = function(s, encoding, length) {
-  if (encoding == null || encoding == "ASCII") {
-    if (length != null) {
-      var i = 0;
-      var len = Math.min(s.length, length);
-      for (i=0; i<len; i++) {
-        this.writeUint8(s.charCodeAt(i));
-      }
-      for (; i<length; i++) {
-        this.writeUint8(0);
-      }
-    } else {
-      for (var i=0; i<s.length; i++) {
-        this.writeUint8(s.charCodeAt(i));
-      }
-      this.writeUint8(0);
-    }
+  var u8 = TextCodec.encode(s, encoding == null ? this.encoding : encoding, length);
+  this.writeUint8Array(u8);
+  for (var i=u8.length; i < (length == null ? u8.length+1 : length); i++) {
+    this.writeUint8(0);
   }
 };
 
 
-DataStream.prototype.readCString = function(length) {
+/**
+  Reads a zero-terminated string. If length is given, reads length bytes
+  and returns the string up to the first zero terminator in them.
+  */
+DataStream.prototype.readCString = function(length, encoding) {
+  encoding = encoding == null ? this.encoding : encoding;
   var blen = this.byteLength-this.position;
-  var u8 = new Uint8Array(this._buffer, this._byteOffset + this.position);
   var len = blen;
   if (length != null) {
     len = Math.min(length, blen);
   }
-  for (var i = 0; i < len && u8[i] != 0; i++); // find first zero byte
-  var s = String.fromCharCode.apply(null, this.mapUint8Array(i));
+  var i = TextCodec.indexOfTerminator(
+    new Uint8Array(this._buffer, this._byteOffset + this.position, len), encoding);
+  var s = TextCodec.decode(this.mapUint8Array(i), encoding);
   if (length != null) {
     this.position += len-i;
   } else if (i != blen) {
-    this.position += 1; // trailing zero if not at end of buffer
+    this.position += TextCodec.unitSize(encoding); // trailing zero if not at end of buffer
   }
   return s;
 };
 
-DataStream.prototype.writeCString = function(s, length) {
-  if (length != null) {
-    var i = 0;
-    var len = Math.min(s.length, length);
-    for (i=0; i<len; i++) {
-      this.writeUint8(s.charCodeAt(i));
-    }
-    for (; i<length; i++) {
-      this.writeUint8(0);
+/**
+  Writes a zero-terminated string. If length is given, the encoded string is
+  truncated to length bytes without splitting a character and zero-padded to
+  length bytes, and there's no terminator if the string fills all of them.
+  */
+DataStream.prototype.writeCString = function(s, length, encoding) {
+  encoding = encoding == null ? this.encoding : encoding;
+  var u8 = TextCodec.encode(s, encoding, length);
+  this.writeUint8Array(u8);
+  var end = length == null ? u8.length + TextCodec.unitSize(encoding) : length;
+  for (var i=u8.length; i<end; i++) {
+    this.writeUint8(0);
+  }
+};
+
+/**
+  Number of bits already read or written from the byte at position.
+  Reset by seek and alignToByte.
+  */
+DataStream.prototype._bitOffset = 0;
+
+/**
+  Reads an n-bit unsigned integer. Consecutive readBits calls share bytes.
+  Bits are read most significant first, unless lsbFirst is set.
+
+  @param {Number} n Number of bits to read, up to 53.
+  @param {?Boolean} lsbFirst Read the least significant bit of each byte first.
+  */
+DataStream.prototype.readBits = function(n, lsbFirst) {
+  var v = 0, c;
+  for (var i=0; i<n; i++) {
+    c = this._dataView.getUint8(this.position);
+    if (lsbFirst) {
+      v += ((c >> this._bitOffset) & 1) * Math.pow(2, i);
+    } else {
+      v = v * 2 + ((c >> (7-this._bitOffset)) & 1);
     }
-  } else {
-    for (var i=0; i<s.length; i++) {
-      this.writeUint8(s.charCodeAt(i));
+    if (++this._bitOffset == 8) {
+      this._bitOffset = 0;
+      this.position++;
     }
-    this.writeUint8(0);
   }
+  return v;
 };
 
-DataStream.prototype.readType = function(t, struct) {
-  if (typeof t == "function") {
-    return t(this, struct);
-  } else if (typeof t == "object" && !(t instanceof Array)) {
-    return t.get(this, struct);
-  } else if (t instanceof Array && t.length != 3) {
-    return this.readStruct(t, struct);
-  }
-  var v = null;
-  var lengthOverride = null;
-  var pos = this.position;
-  if (typeof t == 'string' && /:/.test(t)) {
-    var tp = t.split(":");
-    t = tp[0];
-    lengthOverride = parseInt(tp[1]);
-  }
-  switch(t) {
-
-    case 'uint8':
-      v = this.readUint8(); break;
-    case 'int8':
-      v = this.readInt8(); break;
-
-    case 'uint16':
-      v = this.readUint16(this.endianness); break;
-    case 'int16':
-      v = this.readInt16(this.endianness); break;
-    case 'uint32':
-      v = this.readUint32(this.endianness); break;
-    case 'int32':
-      v = this.readInt32(this.endianness); break;
-    case 'float32':
-      v = this.readFloat32(this.endianness); break;
-    case 'float64':
-      v = this.readFloat64(this.endianness); break;
-
-    case 'uint16be':
-      v = this.readUint16(DataStream.BIG_ENDIAN); break;
-    case 'int16be':
-      v = this.readInt16(DataStream.BIG_ENDIAN); break;
-    case 'uint32be':
-      v = this.readUint32(DataStream.BIG_ENDIAN); break;
-    case 'int32be':
-      v = this.readInt32(DataStream.BIG_ENDIAN); break;
-    case 'float32be':
-      v = this.readFloat32(DataStream.BIG_ENDIAN); break;
-    case 'float64be':
-      v = this.readFloat64(DataStream.BIG_ENDIAN); break;
-
-    case 'uint16le':
-      v = this.readUint16(DataStream.LITTLE_ENDIAN); break;
-    case 'int16le':
-      v = this.readInt16(DataStream.LITTLE_ENDIAN); break;
-    case 'uint32le':
-      v = this.readUint32(DataStream.LITTLE_ENDIAN); break;
-    case 'int32le':
-      v = this.readInt32(DataStream.LITTLE_ENDIAN); break;
-    case 'float32le':
-      v = this.readFloat32(DataStream.LITTLE_ENDIAN); break;
-    case 'float64le':
-      v = this.readFloat64(DataStream.LITTLE_ENDIAN); break;
-
-    case 'cstring':
-      v = this.readCString(lengthOverride); break;
-
-    case 'string':
-      v = this.readString(lengthOverride); break;
-
-    case 'u16string':
-      v = this.readUTF16String(lengthOverride, this.endianness); break;
-
-    case 'u16stringle':
-      v = this.readUTF16String(lengthOverride, DataStream.LITTLE_ENDIAN); break;
-
-    case 'u16stringbe':
-      v = this.readUTF16String(lengthOverride, DataStream.BIG_ENDIAN); break;
-
-    default:
-      if (t.length == 3) {
-        var ta = t[1];
-        var len = t[2];
-        var length = 0;
-        if (typeof len == 'function') {
-          length = len(struct, this, t);
-        } else if (typeof len == 'string' && struct[len] != null) {
-          length = parseInt(struct[len]);
-        } else {
-          length = parseInt(len);
-        }
-        if (typeof ta == "string") {
-          var tap = ta.replace(/(le|be)$/, '');
-          var endianness = null;
-          if (/le$/.test(ta)) {
-            endianness = DataStream.LITTLE_ENDIAN;
-          } else if (/be$/.test(ta)) {
-            endianness = DataStream.BIG_ENDIAN;
-          }
-          if (len == '*') {
-            length = null;
-          }
-          switch(tap) {
-            case 'uint8':
-              v = this.readUint8Array(length); break;
-            case 'uint16':
-              v = this.readUint16Array(length, endianness); break;
-            case 'uint32':
-              v = this.readUint32Array(length, endianness); break;
-            case 'int8':
-              v = this.readInt8Array(length); break;
-            case 'int16':
-              v = this.readInt16Array(length, endianness); break;
-            case 'int32':
-              v = this.readInt32Array(length, endianness); break;
-            case 'float32':
-              v = this.readFloat32Array(length, endianness); break;
-            case 'float64':
-              v = this.readFloat64Array(length, endianness); break;
-            case 'cstring':
-            case 'utf16string':
-            case 'string':
-              if (length == null) {
-                v = [];
-                while (!this.isEof()) {
-                  var u = this.readType(ta, struct);
-		  if (u == null) break;
-		  v.push(u);
-                }
-              } else {
-                v = new Array(length);
-                for (var i=0; i<length; i++) {
-                  v[i] = this.readType(ta, struct);
-                }
-              }
-              break;
-          }
-        } else {
-          if (len == '*') {
-            v = [];
-            this.buffer;
-            while (true) {
-              var p = this.position;
-              try {
-                var o = this.readType(ta, struct);
-                if (o == null) {
-                  this.position = p;
-                  break;
-                }
-                v.push(o);
-              } catch(e) {
-                this.position = p;
-                break;
-              }
-            }
-          } else {
-            v = new Array(length);
-            for (var i=0; i<length; i++) {
-              var u = this.readType(ta, struct);
-              if (u == null) return null;
-              v[i] = u;
-            }
-          }
-        }
-        break;
-      }
+/**
+  Writes v as an n-bit unsigned integer. Consecutive writeBits calls
+  share bytes. Bits are written most significant first, unless lsbFirst is set.
+
+  @param {Number} v Value to write.
+  @param {Number} n Number of bits to write, up to 53.
+  @param {?Boolean} lsbFirst Write the least significant bit of each byte first.
+  */
+DataStream.prototype.writeBits = function(v, n, lsbFirst) {
+  var c, bit, mask;
+  for (var i=0; i<n; i++) {
+    if (this._bitOffset == 0) {
+      this._realloc(1);
+    }
+    c = this._dataView.getUint8(this.position);
+    bit = Math.floor(v / Math.pow(2, lsbFirst ? i : n-1-i)) % 2;
+    mask = lsbFirst ? (1 << this._bitOffset) : (0x80 >> this._bitOffset);
+    this._dataView.setUint8(this.position, bit ? (c | mask) : (c & ~mask));
+    if (++this._bitOffset == 8) {
+      this._bitOffset = 0;
+      this.position++;
+    }
   }
-  if (lengthOverride != null) {
-    this.position = pos + lengthOverride;
+};
+
+/**
+  Skips the rest of a partially read or written byte.
+  */
+DataStream.prototype.alignToByte = function() {
+  if (this._bitOffset) {
+    this._bitOffset = 0;
+    this.position++;
   }
-  return v;
 };
 
+/**
+  Reads a value of type t, which is any type of structdef.js: a type
+  string like 'uint16be' or 'cstring:4=TAG', a struct definition, an array
+  ['[]', type, length] or ['[]', type, {until, terminator, size, max}], a
+  branch of alternatives, a pointer ['->', type, target, base], a conditional
+  ['if', expr, type], a switch ['switch', expr, cases, default], a chunk
+  ['sized', length, type] that type can't read past, a function(ds, struct, parents) or a
+  {get: function(ds, struct, parents), set: function(ds, v, struct, parents)}
+  object, where parents are the enclosing structs, outermost first.
+  Types without an le or be suffix use the endianness of the DataStream.
+  Pointer offsets are relative to the start of the DataStream.
+  */
+DataStream.prototype.readType = function(t, struct) {
+  return this._read(function(dataView, idx) {
+    return StructDef._engine.readType(dataView, idx, t, struct);
+  });
+};
+
+/**
+  Writes struct to the DataStream. Derived 'type<-expr' fields are written
+  as zero and filled in after the rest of the struct, see StructExpression.
+  */
 DataStream.prototype.writeStruct = function(structDefinition, struct) {
-  for (var i = 0; i < structDefinition.length; i+=2) {
-    var t = structDefinition[i+1];
-    this.writeType(t, struct[structDefinition[i]], struct);
-  }
+  this._write(function(dataView, idx) {
+    StructDef._engine.writeFields(dataView, idx, structDefinition, struct);
+  });
 };
 
+/**
+  Returns the number of bytes writeType would write for the value,
+  without writing anything.
+
+  @param {Object} type Struct definition or any other type.
+  @param {Object} value The value to measure.
+  @return {Number} Byte length of the encoded value.
+  */
+DataStream.measure = function(type, value) {
+  var ds = new DataStream(0);
+  ds._dynamicSize = false;
+  ds._dataView = DataStream._nullDataView;
+  ds.writeType(type, value);
+  return ds.position + (ds._bitOffset ? 1 : 0);
+};
+
+/**
+  Encodes the value into a new ArrayBuffer of exactly the right size.
+
+  @param {Object} type Struct definition or any other type.
+  @param {Object} value The value to encode.
+  @param {?Boolean} endianness DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN (the default).
+  @return {ArrayBuffer} The encoded bytes.
+  */
+DataStream.encode = function(type, value, endianness) {
+  var ds = new DataStream(DataStream.measure(type, value), 0, endianness);
+  ds.writeType(type, value);
+  return ds.buffer;
+};
+
+/**
+  Stand-in for a DataView that ignores writes, used by DataStream.measure.
+  */
+DataStream._nullDataView = {
+  getUint8: function() { return 0; },
+  setUint8: function() {}, setInt8: function() {},
+  setUint16: function() {}, setInt16: function() {},
+  setUint32: function() {}, setInt32: function() {},
+  setFloat32: function() {}, setFloat64: function() {},
+  setBigUint64: function() {}, setBigInt64: function() {}
+};
+
+/**
+  Writes value v of type t, see readType for the types.
+  */
 DataStream.prototype.writeType = function(t, v, struct) {
-  if (typeof t == "function") {
-    return t(this, v);
-  } else if (typeof t == "object" && !(t instanceof Array)) {
-    return t.set(this, v, struct);
-  }
-  var lengthOverride = null;
-  var pos = this.position;
-  if (typeof(t) == 'string' && /:/.test(t)) {
-    var tp = t.split(":");
-    t = tp[0];
-    lengthOverride = parseInt(tp[1]);
-  }
-
-  switch(t) {
-    case 'uint8':
-      this.writeUint8(v);
-      break;
-    case 'int8':
-      this.writeInt8(v);
-      break;
-
-    case 'uint16':
-      this.writeUint16(v, this.endianness);
-      break;
-    case 'int16':
-      this.writeInt16(v, this.endianness);
-      break;
-    case 'uint32':
-      this.writeUint32(v, this.endianness);
-      break;
-    case 'int32':
-      this.writeInt32(v, this.endianness);
-      break;
-    case 'float32':
-      this.writeFloat32(v, this.endianness);
-      break;
-    case 'float64':
-      this.writeFloat64(v, this.endianness);
-      break;
-
-    case 'uint16be':
-      this.writeUint16(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'int16be':
-      this.writeInt16(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'uint32be':
-      this.writeUint32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'int32be':
-      this.writeInt32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'float32be':
-      this.writeFloat32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'float64be':
-      this.writeFloat64(v, DataStream.BIG_ENDIAN);
-      break;
-
-    case 'uint16le':
-      this.writeUint16(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'int16le':
-      this.writeInt16(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'uint32le':
-      this.writeUint32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'int32le':
-      this.writeInt32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'float32le':
-      this.writeFloat32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'float64le':
-      this.writeFloat64(v, DataStream.LITTLE_ENDIAN);
-      break;
-
-    case 'cstring':
-      this.writeCString(v, lengthOverride);
-      break;
-
-    case 'string':
-      this.writeString(v, null, lengthOverride);
-      break;
-
-    case 'u16string':
-      this.writeUTF16String(v, this.endianness, lengthOverride);
-      break;
-
-    case 'u16stringle':
-      this.writeUTF16String(v, DataStream.LITTLE_ENDIAN, lengthOverride);
-      break;
-
-    case 'u16stringbe':
-      this.writeUTF16String(v, DataStream.BIG_ENDIAN, lengthOverride);
-      break;
-
-    default:
-      if (t.length == 3) {
-        var ta = t[1];
-        for (var i=0; i<v.length; i++) {
-          this.writeType(ta, v[i]);
-        }
-        break;
-      } else {
-        this.writeStruct(t, v);
-        break;
-      }
-  }
-  if (lengthOverride != null) {
-    this.position = pos;
-    this._realloc(lengthOverride);
-    this.position = pos + lengthOverride;
+  this._write(function(dataView, idx) {
+    StructDef._engine.writeType(dataView, idx, t, v, struct);
+  });
+};
+
+/**
+  Runs f(dataView, idx) with idx at the current position and this
+  DataStream as the options of the structdef.js engine.
+  */
+DataStream.prototype._run = function(dataView, f) {
+  var idx = [this.position, this._bitOffset];
+  try {
+    return StructDef._engine.run(this, function() {
+      return f(dataView, idx);
+    });
+  } finally {
+    this.position = idx[0];
+    this._bitOffset = idx[1] || 0;
+  }
+};
+
+DataStream.prototype._read = function(f) {
+  var p = this.position, b = this._bitOffset, v = null;
+  try {
+    v = this._run(new DataView(this._buffer, this._byteOffset, this.byteLength), f);
+  } finally {
+    if (v == null) {
+      this.failurePosition = this.lastError ? this.lastError.offset : p;
+      this.position = p;
+      this._bitOffset = b;
+    }
   }
+  return v;
 };
 
+/**
+  Writes with f, and the targets of the pointers it writes after it.
+  A DataStream with a dynamic size measures the write first to grow the
+  buffer to fit it, so function types must write the same bytes each time.
+  */
+DataStream.prototype._write = function(write) {
+  var p = this.position, b = this._bitOffset, dataView = this._dataView, size;
+  var f = function(dataView, idx) {
+    StructDef._engine.writeWithPointers(dataView, idx, write);
+  };
+  if (this._dynamicSize) {
+    this._dataView = DataStream._nullDataView;
+    this._dynamicSize = false;
+    try {
+      this._run(DataStream._nullDataView, f);
+      size = this.position + (this._bitOffset ? 1 : 0) - p;
+    } finally {
+      this._dataView = dataView;
+      this._dynamicSize = true;
+      this.position = p;
+      this._bitOffset = b;
+    }
+    this._realloc(size);
+  }
+  this._run(this._dataView, f);
+};
@@ -0,0 +1,265 @@
+/**
+  StructExpression evaluates the length, condition and derived value
+  expressions of structdef.js and DataStream definitions, like
+  'pointCount*2', 'sizeof(data)+2' or 'version >= 2 ? size : 0'.
+
+  The operators and their precedence are those of JavaScript:
+  ?: || && | ^ & == != < <= > >= << >> >>> + - * / % and the unary
+  - + ~ !. The terms are integers, 'quoted' or "quoted" strings, field
+  names, paths like 'header.entries.length' or 'offsets[i]' into the
+  fields, '../count' for a field of the parent struct, '../../' for its
+  parent and so on, '_root.header.n' for a field of the outermost struct,
+  'sizeof(name)' for the byte size of a field, 'sizeof()' for the byte
+  size of the whole struct, and the functions min(a, b, ...),
+  max(a, b, ...) and align(value, n), which rounds value up to a multiple
+  of n. Byte sizes are only known when writing. 64-bit fields are used as
+  Numbers.
+
+  Expressions are parsed into a tree and evaluated without eval.
+  */
+StructExpression = {};
+
+/**
+  Evaluates expr against the fields of struct.
+
+  @param {String} expr The expression, e.g. 'length-8'.
+  @param {Object} struct The struct whose fields the expression uses.
+  @param {?Object} sizes Byte sizes of the written fields, with the size
+                         of the whole struct under ''.
+  @param {?Array} parents The structs that enclose struct, outermost first.
+  @return {Number} The value of the expression.
+  @throws {StructParseError} If a field the expression uses has no value.
+  */
+StructExpression.evaluate = function(expr, struct, sizes, parents) {
+  return StructExpression._evaluate(StructExpression.parse(expr).tree, expr, struct, sizes, parents);
+};
+
+StructExpression._functions = {
+  min: Math.min,
+  max: Math.max,
+  align: function(v, n) {
+    return Math.ceil(v / n) * n;
+  }
+};
+
+StructExpression._evaluate = function(node, expr, struct, sizes, parents) {
+  var v, i, args;
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      v = struct;
+      if (node.root) {
+        v = parents && parents.length > 0 ? parents[0] : struct;
+      } else if (node.up > 0) {
+        v = parents && parents[parents.length - node.up];
+      }
+      for (i=0; i<node.path.length; i++) {
+        if (v == null) {
+          break;
+        }
+        v = v[typeof node.path[i] == 'string' ? node.path[i]
+          : StructExpression._evaluate(node.path[i], expr, struct, sizes, parents)];
+      }
+      if (v == null) {
+        throw new StructParseError("no value for '" + node.name + "' in '" + expr + "'", null, expr);
+      }
+      return typeof v == 'bigint' ? Number(v) : v;
+    case 'sizeof':
+      if (!sizes) {
+        throw("sizeof() is only known when writing");
+      }
+      return sizes[node.name];
+    case 'call':
+      args = [];
+      for (i=0; i<node.args.length; i++) {
+        args.push(StructExpression._evaluate(node.args[i], expr, struct, sizes, parents));
+      }
+      return StructExpression._functions[node.name].apply(null, args);
+    case '?':
+      return StructExpression._evaluate(node.a, expr, struct, sizes, parents)
+        ? StructExpression._evaluate(node.b, expr, struct, sizes, parents)
+        : StructExpression._evaluate(node.c, expr, struct, sizes, parents);
+  }
+  v = StructExpression._evaluate(node.a, expr, struct, sizes, parents);
+  if (node.b == null) {
+    switch (node.type) {
+      case '-': return -v;
+      case '+': return +v;
+      case '~': return ~v;
+      case '!': return !v;
+    }
+  }
+  switch (node.type) {
+    case '&&': return v && StructExpression._evaluate(node.b, expr, struct, sizes, parents);
+    case '||': return v || StructExpression._evaluate(node.b, expr, struct, sizes, parents);
+  }
+  var w = StructExpression._evaluate(node.b, expr, struct, sizes, parents);
+  switch (node.type) {
+    case '*': return v * w;
+    case '/': return v / w;
+    case '%': return v % w;
+    case '+': return v + w;
+    case '-': return v - w;
+    case '<<': return v << w;
+    case '>>': return v >> w;
+    case '>>>': return v >>> w;
+    case '<': return v < w;
+    case '<=': return v <= w;
+    case '>': return v > w;
+    case '>=': return v >= w;
+    case '==': return v == w;
+    case '!=': return v != w;
+    case '&': return v & w;
+    case '^': return v ^ w;
+    case '|': return v | w;
+  }
+};
+
+StructExpression._precedence = {
+  '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5, '==': 6, '!=': 6,
+  '<': 7, '<=': 7, '>': 7, '>=': 7, '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+};
+
+StructExpression._parsed = Object.create(null);
+
+/**
+  Parses expr into {tree, parents}, where tree is the root node of the
+  expression and parents is true if the expression uses the enclosing
+  structs. Nodes are {type: 'literal', value}, {type: 'path', name, up,
+  root, path}, {type: 'sizeof', name}, {type: 'call', name, args},
+  {type: '?', a, b, c} and {type: op, a, b} for the operators, with no b
+  for the unary ones. Throws on invalid expressions.
+  */
+StructExpression.parse = function(expr) {
+  if (expr in StructExpression._parsed) {
+    return StructExpression._parsed[expr];
+  }
+  var re = /\s*(?:(0x[\da-f]+|\d+(?:\.\d+)?|'[^']*'|"[^"]*")|((?:\.\.\/)*[A-Za-z_$][\w$]*)|(>>>|<<|>>|<=|>=|==|!=|&&|\|\||[-+*\/%&|^~!<>?:(),.\[\]]))\s*/gi;
+  var tokens = [], m, at = 0;
+  while (at < expr.length) {
+    re.lastIndex = at;
+    m = re.exec(expr);
+    if (!m || m.index != at || m[0].length == 0) {
+      throw("invalid expression '" + expr + "'");
+    }
+    at = re.lastIndex;
+    tokens.push(m[1] != null ? {literal: m[1]} : m[2] != null ? {name: m[2]} : {op: m[3]});
+  }
+  var parents = false, i = 0;
+
+  var fail = function() {
+    var t = tokens[i];
+    throw("invalid expression '" + expr + "', unexpected " +
+      (t ? "'" + (t.literal || t.name || t.op) + "'" : "end"));
+  };
+  var accept = function(op) {
+    if (i < tokens.length && tokens[i].op == op) {
+      i++;
+      return true;
+    }
+    return false;
+  };
+  var expect = function(op) {
+    if (!accept(op)) {
+      fail();
+    }
+  };
+  var conditional = function() {
+    var a = binary(1);
+    if (!accept('?')) {
+      return a;
+    }
+    var b = conditional();
+    expect(':');
+    return {type: '?', a: a, b: b, c: conditional()};
+  };
+  var binary = function(level) {
+    var a = unary(), p, op;
+    while (i < tokens.length && (p = StructExpression._precedence[op = tokens[i].op]) >= level) {
+      i++;
+      a = {type: op, a: a, b: binary(p + 1)};
+    }
+    return a;
+  };
+  var unary = function() {
+    var t = tokens[i];
+    if (t && /^[-+~!]$/.test(t.op)) {
+      i++;
+      return {type: t.op, a: unary(), b: null};
+    }
+    return primary();
+  };
+  var primary = function() {
+    var t = tokens[i++], node, up;
+    if (t == null) {
+      i--;
+      fail();
+    }
+    if (t.literal != null) {
+      return {type: 'literal', value: /^['"]/.test(t.literal) ? t.literal.slice(1, -1)
+        : /^0x/i.test(t.literal) ? parseInt(t.literal) : parseFloat(t.literal)};
+    }
+    if (t.op == '(') {
+      node = conditional();
+      expect(')');
+      return node;
+    }
+    if (t.name == null) {
+      i--;
+      fail();
+    }
+    if (accept('(')) {
+      if (t.name == 'sizeof') {
+        node = {type: 'sizeof', name: ''};
+        if (i < tokens.length && tokens[i].name != null) {
+          node.name = tokens[i++].name;
+        }
+        expect(')');
+        return node;
+      }
+      if (!StructExpression._functions.hasOwnProperty(t.name)) {
+        throw("unknown function '" + t.name + "' in '" + expr + "'");
+      }
+      node = {type: 'call', name: t.name, args: []};
+      if (!accept(')')) {
+        do {
+          node.args.push(conditional());
+        } while (accept(','));
+        expect(')');
+      }
+      return node;
+    }
+    up = t.name.split('../').length - 1;
+    node = {type: 'path', name: t.name, up: up, root: false, path: [t.name.slice(up * 3)]};
+    if (up == 0 && node.path[0] == '_root') {
+      node.root = true;
+      node.path.shift();
+    }
+    parents = parents || up > 0 || node.root;
+    for (;;) {
+      if (accept('.')) {
+        t = tokens[i++];
+        if (t == null || t.name == null || /\//.test(t.name)) {
+          i--;
+          fail();
+        }
+        node.path.push(t.name);
+        node.name += '.' + t.name;
+      } else if (accept('[')) {
+        node.path.push(conditional());
+        expect(']');
+        node.name += '[]';
+      } else {
+        return node;
+      }
+    }
+  };
+
+  var tree = conditional();
+  if (i < tokens.length) {
+    fail();
+  }
+  return StructExpression._parsed[expr] = {tree: tree, parents: parents};
+};
@@ -0,0 +1,87 @@
+/**
+  StructParseError describes why reading a struct failed.
+  readStruct and DataStream.prototype.readStruct throw it in strict mode,
+  and keep it in lastError otherwise.
+
+  @param {String} reason What went wrong, e.g. 'constant mismatch'.
+  @param {Number} offset Byte offset of the field that failed.
+  @param {*} definition Definition fragment of the field that failed.
+  @param {*} expected Expected value, if any.
+  @param {*} actual Value that was read, if any.
+  */
+StructParseError = function(reason, offset, definition, expected, actual) {
+  this.reason = reason;
+  this.offset = offset;
+  this.definition = definition;
+  this.expected = expected;
+  this.actual = actual;
+  this.path = '';
+  this.alternatives = [];
+  this._updateMessage();
+};
+StructParseError.prototype = Object.create(Error.prototype);
+StructParseError.prototype.constructor = StructParseError;
+StructParseError.prototype.name = 'StructParseError';
+
+/**
+  Wraps an exception thrown while reading a field, e.g. the RangeError from
+  reading past the end of a DataView or from running out of stack on
+  deeply nested data. Returns StructParseErrors as is.
+  */
+StructParseError.from = function(e, offset, definition) {
+  if (e instanceof StructParseError) {
+    return e;
+  }
+  var reason = String(e && e.message || e);
+  if (e instanceof RangeError) {
+    reason = /call stack/.test(reason) ? 'nested too deeply' : 'unexpected end of data';
+  }
+  var err = new StructParseError(reason, offset, definition);
+  err.cause = e;
+  return err;
+};
+
+/**
+  Adds a field name or an [index] to the front of the error path.
+  */
+StructParseError.prototype.prefix = function(segment) {
+  segment = String(segment);
+  if (this.path == '') {
+    this.path = segment;
+  } else {
+    this.path = segment + (this.path.charAt(0) == '[' ? '' : '.') + this.path;
+  }
+  this._updateMessage();
+  return this;
+};
+
+StructParseError.format = function(v) {
+  if (typeof v == 'string') {
+    return JSON.stringify(v);
+  } else if (typeof v == 'bigint') {
+    return v + 'n';
+  } else if (typeof v == 'function') {
+    return v.name ? 'function ' + v.name : 'function';
+  } else if (v != null && typeof v == 'object' && !ArrayBuffer.isView(v)) {
+    try { return JSON.stringify(v); } catch(e) { return String(v); }
+  }
+  return String(v);
+};
+
+StructParseError.prototype._updateMessage = function() {
+  var f = StructParseError.format;
+  var m = (this.path ? this.path + ': ' : '') + this.reason;
+  if (this.offset != null) {
+    m += ' at offset ' + this.offset;
+  }
+  if (typeof this.definition == 'string') {
+    m += ' (' + this.definition + ')';
+  }
+  if (this.expected !== undefined) {
+    m += ', expected ' + f(this.expected) + ', got ' + f(this.actual);
+  }
+  for (var i=0; i<this.alternatives.length; i++) {
+    m += '\n  [' + i + '] ' + this.alternatives[i].message.replace(/\n/g, '\n  ');
+  }
+  this.message = m;
+};
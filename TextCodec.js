@@ -0,0 +1,203 @@
+/**
+  TextCodec converts between strings and bytes for the string types of
+  structdef.js and DataStream.
+
+  Supported encodings are 'ascii' (one byte per character, the default),
+  'latin1', 'utf8', 'utf16le' and 'utf16be'. Names are case-insensitive
+  and may contain dashes, so 'UTF-8' and 'ISO-8859-1' work too.
+  TextDecoder and TextEncoder are used for UTF-8 where available.
+  */
+TextCodec = {};
+
+/**
+  Returns the canonical name of an encoding or throws if it's not supported.
+  */
+TextCodec.normalize = function(encoding) {
+  var e = encoding == null ? 'ascii' : String(encoding).toLowerCase().replace(/[-_]/g, '');
+  switch (e) {
+    case 'ascii': case 'usascii':
+      return 'ascii';
+    case 'latin1': case 'iso88591': case 'binary':
+      return 'latin1';
+    case 'utf8':
+      return 'utf8';
+    case 'utf16': case 'utf16le': case 'ucs2':
+      return 'utf16le';
+    case 'utf16be':
+      return 'utf16be';
+  }
+  throw("Unsupported encoding " + encoding);
+};
+
+/**
+  Returns the size in bytes of a code unit in the encoding,
+  which is also the size of its zero terminator.
+  */
+TextCodec.unitSize = function(encoding) {
+  return /^utf16/.test(TextCodec.normalize(encoding)) ? 2 : 1;
+};
+
+/**
+  Returns the byte index of the first zero terminator in u8,
+  or u8.length if there is none.
+  */
+TextCodec.indexOfTerminator = function(u8, encoding) {
+  var unit = TextCodec.unitSize(encoding);
+  for (var i=0; i+unit <= u8.length; i+=unit) {
+    if (u8[i] == 0 && (unit == 1 || u8[i+1] == 0)) {
+      return i;
+    }
+  }
+  return u8.length;
+};
+
+TextCodec._decoders = {};
+
+/**
+  Decodes the bytes in Uint8Array u8 to a string.
+  */
+TextCodec.decode = function(u8, encoding) {
+  var e = TextCodec.normalize(encoding);
+  var s = '', i;
+  switch (e) {
+    case 'ascii':
+    case 'latin1':
+      for (i=0; i<u8.length; i+=0x8000) {
+        s += String.fromCharCode.apply(null, u8.subarray(i, i+0x8000));
+      }
+      return s;
+    case 'utf8':
+      if (typeof TextDecoder != 'undefined') {
+        if (!TextCodec._decoders.utf8) {
+          TextCodec._decoders.utf8 = new TextDecoder('utf-8');
+        }
+        return TextCodec._decoders.utf8.decode(u8);
+      }
+      return TextCodec._decodeUTF8(u8);
+    default:
+      var le = e == 'utf16le';
+      var units = [];
+      for (i=0; i+1<u8.length; i+=2) {
+        units.push(le ? u8[i] | (u8[i+1] << 8) : (u8[i] << 8) | u8[i+1]);
+        if (units.length == 0x8000) {
+          s += String.fromCharCode.apply(null, units);
+          units = [];
+        }
+      }
+      return s + String.fromCharCode.apply(null, units);
+  }
+};
+
+/**
+  Encodes string s to a Uint8Array. If maxBytes is given, the result is
+  truncated to at most maxBytes bytes without splitting a character.
+  */
+TextCodec.encode = function(s, encoding, maxBytes) {
+  var e = TextCodec.normalize(encoding);
+  var u8, i, c, end;
+  switch (e) {
+    case 'ascii':
+    case 'latin1':
+      end = maxBytes == null ? s.length : Math.min(s.length, maxBytes);
+      u8 = new Uint8Array(end);
+      for (i=0; i<end; i++) {
+        c = s.charCodeAt(i);
+        u8[i] = (e == 'latin1' && c > 0xFF) ? 0x3F : c; // '?' if not in Latin-1
+      }
+      return u8;
+    case 'utf8':
+      u8 = typeof TextEncoder != 'undefined' ? new TextEncoder().encode(s) : TextCodec._encodeUTF8(s);
+      if (maxBytes != null && u8.length > maxBytes) {
+        end = maxBytes;
+        while (end > 0 && (u8[end] & 0xC0) == 0x80) {
+          end--;
+        }
+        u8 = u8.subarray(0, end);
+      }
+      return u8;
+    default:
+      end = s.length;
+      if (maxBytes != null && end*2 > maxBytes) {
+        end = Math.floor(maxBytes/2);
+        c = s.charCodeAt(end-1);
+        if (c >= 0xD800 && c <= 0xDBFF) {
+          end--;
+        }
+      }
+      u8 = new Uint8Array(end*2);
+      for (i=0; i<end; i++) {
+        var u = s.charCodeAt(i);
+        u8[i*2 + (e == 'utf16le' ? 0 : 1)] = u & 0xFF;
+        u8[i*2 + (e == 'utf16le' ? 1 : 0)] = u >> 8;
+      }
+      return u8;
+  }
+};
+
+TextCodec._decodeUTF8 = function(u8) {
+  var units = [], s = '';
+  var i = 0, c, cp, n;
+  while (i < u8.length) {
+    c = u8[i++];
+    if (c < 0x80) {
+      cp = c; n = 0;
+    } else if (c >= 0xC2 && c < 0xE0) {
+      cp = c & 0x1F; n = 1;
+    } else if (c >= 0xE0 && c < 0xF0) {
+      cp = c & 0x0F; n = 2;
+    } else if (c >= 0xF0 && c < 0xF5) {
+      cp = c & 0x07; n = 3;
+    } else {
+      cp = 0xFFFD; n = 0;
+    }
+    for (; n > 0; n--) {
+      if (i >= u8.length || (u8[i] & 0xC0) != 0x80) {
+        cp = 0xFFFD;
+        break;
+      }
+      cp = (cp << 6) | (u8[i++] & 0x3F);
+    }
+    if (cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) {
+      cp = 0xFFFD;
+    }
+    if (cp > 0xFFFF) {
+      cp -= 0x10000;
+      units.push(0xD800 + (cp >> 10), 0xDC00 + (cp & 0x3FF));
+    } else {
+      units.push(cp);
+    }
+    if (units.length >= 0x8000) {
+      s += String.fromCharCode.apply(null, units);
+      units = [];
+    }
+  }
+  return s + String.fromCharCode.apply(null, units);
+};
+
+TextCodec._encodeUTF8 = function(s) {
+  var bytes = [];
+  for (var i=0; i<s.length; i++) {
+    var cp = s.charCodeAt(i);
+    if (cp >= 0xD800 && cp <= 0xDBFF && i+1 < s.length) {
+      var lo = s.charCodeAt(i+1);
+      if (lo >= 0xDC00 && lo <= 0xDFFF) {
+        cp = 0x10000 + ((cp - 0xD800) << 10) + (lo - 0xDC00);
+        i++;
+      }
+    }
+    if (cp >= 0xD800 && cp <= 0xDFFF) {
+      cp = 0xFFFD; // lone surrogate
+    }
+    if (cp < 0x80) {
+      bytes.push(cp);
+    } else if (cp < 0x800) {
+      bytes.push(0xC0 | (cp >> 6), 0x80 | (cp & 0x3F));
+    } else if (cp < 0x10000) {
+      bytes.push(0xE0 | (cp >> 12), 0x80 | ((cp >> 6) & 0x3F), 0x80 | (cp & 0x3F));
+    } else {
+      bytes.push(0xF0 | (cp >> 18), 0x80 | ((cp >> 12) & 0x3F),
+                 0x80 | ((cp >> 6) & 0x3F), 0x80 | (cp & 0x3F));
+    }
+  }
+  return new Uint8Array(bytes);
+};
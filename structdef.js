@@ -1,337 +1,2912 @@
 /**
   structdef.js, see the README at http://github.com/kig/structdef.js
 */
-var readStruct = function(dataView, idx, structDefinition) {
-  var struct = {}, t, v, n;
-  for (n in structDefinition) {
-    t = structDefinition[n];
-    v = readType(dataView, idx, t, struct);
-    if (v == null) {
-      return null;
+// The functions assigned without var are the API. The rest is private to
+// this function, and DataStream.js gets to it through StructDef._engine.
+(function() {
+
+readStruct = function(dataView, idx, structDefinition) {
+  var state = structState;
+  structState = readStruct;
+  try {
+    return readOutermost(dataView, idx, structDefinition);
+  } finally {
+    structState = state;
+  }
+};
+
+/**
+  Set to true to have readStruct throw a StructParseError when it fails,
+  instead of returning null.
+  */
+readStruct.strict = false;
+
+/**
+  The StructParseError for the last readStruct call that returned null.
+  */
+readStruct.lastError = null;
+
+/**
+  Default byte order of types without an le or be suffix,
+  true for little-endian. Like DataStream endianness.
+  */
+readStruct.endianness = false;
+
+readStruct._depth = 0;
+readStruct._mapArrays = true;
+readStruct._pack = null;
+readStruct._structStart = 0;
+readStruct._pointers = null;
+readStruct._following = [];
+
+/**
+  The options of the reader or writer that is running: readStruct for
+  readStruct, writeStruct and the rest of this file, or the DataStream
+  whose readStruct or writeType is running. Its strict, lastError,
+  endianness, encoding and int64AsNumber apply to the definition.
+  */
+var structState = readStruct;
+
+/**
+  The structs that are being read or written, outermost first. Expressions
+  and custom types use it to get to the parents of their struct.
+  */
+var structStack = [];
+
+/**
+  Returns the structs that enclose struct, outermost first.
+  */
+var parentsOf = function(struct) {
+  var n = structStack.length;
+  return structStack.slice(0, n > 0 && structStack[n-1] === struct ? n-1 : n);
+};
+
+/**
+  Evaluates expr with the fields of struct and its parents.
+  */
+var evaluate = function(expr, struct, sizes) {
+  return StructExpression.evaluate(expr, struct, sizes,
+    StructExpression.parse(expr).parents ? parentsOf(struct) : null);
+};
+
+/**
+  Evaluates expr for reading type t at offset start. A field the expression
+  needs that the data doesn't have fails the read: that returns undefined
+  with lastError set.
+  */
+var evaluateRead = function(expr, struct, start, t) {
+  try {
+    return evaluate(expr, struct);
+  } catch(e) {
+    return expressionFailure(e, start, t);
+  }
+};
+
+// Turns the StructParseError e of an expression into the failure of type t
+// at offset start, and rethrows anything else.
+var expressionFailure = function(e, start, t) {
+  if (!(e instanceof StructParseError)) {
+    throw e;
+  }
+  structState.lastError = new StructParseError(e.reason, start, t);
+};
+
+/**
+  Reads the fields of an object or ['name', type, ...] struct definition.
+  */
+var readFields = function(dataView, idx, structDefinition) {
+  var struct = {}, state = structState, structStart = state._structStart, v = struct, i, n;
+  state._depth++;
+  state._structStart = idx[0];
+  structStack.push(struct);
+  if (structDefinition instanceof Array) {
+    for (i=0; i<structDefinition.length && v; i+=2) {
+      if (!readField(dataView, idx, structDefinition[i], structDefinition[i+1], struct)) {
+        v = null;
+      }
     }
-    struct[n] = v;
+  } else {
+    for (n in structDefinition) {
+      if (!readField(dataView, idx, n, structDefinition[n], struct)) {
+        v = null;
+        break;
+      }
+    }
+  }
+  if (v && state._pack) {
+    i = cPadding(idx, structDefinition);
+    if (i > dataView.byteLength) {
+      v = parseFailure('unexpected end of data', idx[0], structDefinition);
+    } else {
+      idx[0] = i;
+    }
+  }
+  // Thrown errors skip this, tryReadType restores the state for them.
+  state._depth--;
+  state._structStart = structStart;
+  structStack.pop();
+  return v;
+};
+
+var readField = function(dataView, idx, n, t, struct) {
+  var v = null;
+  t = fieldType(t, struct, idx[0]);
+  if (t == null) {
+    return true;
+  } else if (t !== false) {
+    if (structState._pack) {
+      idx[0] = cPadding(idx, t);
+    }
+    v = readValue(dataView, idx, t, struct);
+  }
+  if (v == null) {
+    structState.lastError.prefix(n);
+    if (structState.strict && structState._depth == 1) {
+      throw structState.lastError;
+    }
+    return false;
   }
-  return struct;
+  struct[n] = v;
+  return true;
 };
 
-var eqCmp = function(a, b) { return a == b; };
-var neqCmp = function(a, b) { return a != b; };
+/**
+  Returns the offset after the padding that a C compiler puts before a
+  field of type t, or after the fields of a struct t, in a
+  ['cstruct', type, pack]. Bitfields are not aligned.
+  */
+var cPadding = function(idx, t) {
+  if (parseType(t).type == 'bits') {
+    return idx[0];
+  }
+  alignToByte(idx);
+  return alignOffset(idx[0], alignmentOf(t, structState._pack), structState._structStart);
+};
 
-var readType = function(dataView, idx, t, struct) {
-  var v, paddedTo = 0, le = false, tr, ref, cmp = eqCmp;
-  var i,j,k,c;
-  if (typeof t == 'string' && t.indexOf("=") > -1) {
-    tr = t.split("=");
-    t = tr[0];
-    ref = tr[1];
+/**
+  Calls readType, or read if given, turning failures into a null return
+  value with lastError describing the failure. The reader state is
+  restored when something throws.
+  */
+var tryReadType = function(dataView, idx, t, struct, read) {
+  var state = structState, start = idx[0], depth = state._depth;
+  var structStart = state._structStart, n = structStack.length;
+  try {
+    return readValue(dataView, idx, t, struct, read);
+  } catch(e) {
+    structState = state;
+    state._depth = depth;
+    state._structStart = structStart;
+    structStack.length = n;
+    if (!(e instanceof RangeError || e instanceof StructParseError)) {
+      throw e;
+    }
+    state.lastError = StructParseError.from(e, start, t);
+    return null;
+  }
+};
+
+/**
+  Calls read, readType by default, without catching what it throws. Null
+  return values get a lastError, with the reason 'no value' if the type
+  didn't give one.
+  */
+var readValue = function(dataView, idx, t, struct, read) {
+  var start = idx[0], v;
+  structState.lastError = null;
+  v = (read || readType)(dataView, idx, t, struct);
+  if (v == null && !structState.lastError) {
+    structState.lastError = new StructParseError('no value', start, t);
+  }
+  return v;
+};
+
+/**
+  Reads the fields of structDefinition as the outermost struct of
+  readStruct or DataStream readStruct. Errors thrown while reading, like
+  RangeErrors, are caught only here and in the alternatives of branches
+  and arrays, and become a null return value, or a thrown lastError in
+  strict mode.
+  */
+var readOutermost = function(dataView, idx, structDefinition) {
+  var v = tryReadType(dataView, idx, structDefinition, null, readFields);
+  if (v == null && structState.strict) {
+    throw structState.lastError;
+  }
+  return v;
+};
+
+var parseFailure = function(reason, offset, t, expected, actual) {
+  structState.lastError = new StructParseError(reason, offset, t, expected, actual);
+  return null;
+};
+
+var constError = function(offset, t, cmp, expected, actual) {
+  if (cmp == neqCmp) {
+    return new StructParseError('value must not be ' + StructParseError.format(expected),
+      offset, t);
+  }
+  return new StructParseError('constant mismatch', offset, t, expected, actual);
+};
+
+var constMismatch = function(offset, t, cmp, expected, actual) {
+  structState.lastError = constError(offset, t, cmp, expected, actual);
+  return null;
+};
+
+/**
+  Set to true to have readStruct return 64-bit integers as Numbers
+  when they fit in the safe integer range. Values outside the range and
+  64-bit typed arrays are always BigInts.
+  */
+readStruct.int64AsNumber = false;
+
+/**
+  Default encoding of string and cstring fields that don't have an
+  @encoding suffix. See TextCodec.js for the supported encodings.
+  */
+readStruct.encoding = 'ascii';
+
+var int64Value = function(v) {
+  if (structState.int64AsNumber &&
+      v <= Number.MAX_SAFE_INTEGER && v >= -Number.MAX_SAFE_INTEGER) {
+    return Number(v);
+  }
+  return v;
+};
+
+eqCmp = function(a, b) { return a == b; };
+neqCmp = function(a, b) { return a != b; };
+
+/**
+  Splits a type string like 'cstring:30@utf8=TAG', 'uint16le!=0' or
+  'int32<-sizeof()/2' into {type, size, le, encoding, ref, cmp, derived}.
+  le is true for an le suffix, false for be and null without either.
+  Non-string types are returned as the type. Type strings are parsed once
+  per default encoding, so don't modify the result.
+  */
+var parseType = function(t) {
+  var cache;
+  if (typeof t != 'string') {
+    return {type: t, size: 0, le: null, encoding: structState.encoding, ref: null, cmp: eqCmp,
+      derived: null};
+  }
+  cache = parsedTypes[structState.encoding] ||
+    (parsedTypes[structState.encoding] = Object.create(null));
+  return cache[t] || (cache[t] = parseTypeString(t));
+};
+
+// The parsed type strings by default encoding.
+var parsedTypes = Object.create(null);
+
+var parseTypeString = function(t) {
+  var p = {type: t, size: 0, le: null, encoding: structState.encoding, ref: null, cmp: eqCmp,
+    derived: null};
+  var i, j;
+  i = t.indexOf("<-");
+  j = t.indexOf("=");
+  if (i > -1 && (j == -1 || i < j)) {
+    p.derived = t.slice(i+2);
+    t = t.slice(0, i);
+  } else if ((i = j) > -1) {
+    p.ref = t.slice(i+1);
+    t = t.slice(0, i);
     if (t.charAt(t.length-1) == '!') {
       t = t.slice(0,-1);
-      cmp = neqCmp;
+      p.cmp = neqCmp;
     }
   }
-  if (typeof t == 'string' && t.indexOf(":") > -1) {
-    var tp = t.split(":");
-    t = tp[0];
-    paddedTo = parseInt(tp[1]);
+  if ((i = t.indexOf("@")) > -1) {
+    p.encoding = t.slice(i+1);
+    t = t.slice(0, i);
   }
-  if (/^(u?int(8|16|32)|float(32|64))le$/.test(t)) {
+  if ((i = t.indexOf(":")) > -1) {
+    p.size = parseInt(t.slice(i+1));
+    t = t.slice(0, i);
+  }
+  if (/^(u?int(8|16|32|64)|float(32|64)|bits|u16string)(le|be)$/.test(t)) {
+    p.le = t.slice(-2) == 'le';
     t = t.slice(0, -2);
-    le = true;
+  }
+  p.type = t;
+  return p;
+};
+
+/**
+  Whether s names a type, like 'uint16le', 'cstring:4' or a name registered
+  with defineStruct, rather than a field.
+  */
+var isTypeName = function(s) {
+  var v = typeNames[s];
+  if (v == null) {
+    var t = parseType(s).type;
+    v = typeNames[s] = compiledAccessors.hasOwnProperty(t) ||
+      /^(bits|c?string|u16string)$/.test(t) || t in structTypes;
+  }
+  return v;
+};
+
+var typeNames = Object.create(null);
+
+/**
+  Registers structDefinition under name, so that definitions can use the
+  name as a type, like 'box' or ['box', '*']. Names are looked up when
+  the data is read or written, so a definition can refer to itself and to
+  names that are registered later. A null definition removes the name.
+
+  @param {String} name The type name, like 'box'. Built-in type names
+                       like 'uint8' can't be registered.
+  @param {Object} structDefinition The definition, or any other type.
+  */
+defineStruct = function(name, structDefinition) {
+  if (!/^[A-Za-z_$][\w$.]*$/.test(name)) {
+    throw "invalid type name '" + name + "'";
+  } else if (!(name in structTypes) && isTypeName(name)) {
+    throw "'" + name + "' is a built-in type";
+  }
+  if (structDefinition == null) {
+    delete structTypes[name];
+  } else {
+    structTypes[name] = structDefinition;
+  }
+  typeNames = Object.create(null);
+};
+
+/**
+  The definitions registered with defineStruct by name.
+  */
+var structTypes = Object.create(null);
+
+/**
+  Returns the registered definition of a type name, or t if it isn't one.
+  */
+var namedType = function(t) {
+  return typeof t == 'string' && t in structTypes ? structTypes[t] : t;
+};
+
+/**
+  Returns the kind of a definition: 'struct' for objects and
+  ['name', type, ...] pair lists, which start with a field name or with
+  two type names, like ['box', 'box', ...], 'array' for [type, length] and
+  ['[]', type, length], 'branch' for lists of alternatives, 'pointer' for
+  ['->', type, target, base] and ['~>', ...], 'conditional' for
+  ['if', expr, type], 'switch' for ['switch', expr, cases, default],
+  'sized' for ['sized', length, type], 'endian' for ['endian', order, type],
+  'align' for ['align', n, base, fill], 'cstruct' for ['cstruct', type, pack],
+  'custom' for function types and {get, set} objects, and 'type' for type
+  strings.
+  */
+var definitionKind = function(t) {
+  if (typeof t == 'string') {
+    return 'type';
+  } else if (typeof t == 'function') {
+    return 'custom';
+  } else if (t instanceof Array) {
+    if (t[0] === '[]') {
+      return 'array';
+    } else if (t[0] === '->' || t[0] === '~>') {
+      return 'pointer';
+    } else if (t[0] === 'if' && t.length == 3) {
+      return 'conditional';
+    } else if (t[0] === 'switch' && (t.length == 3 || t.length == 4) &&
+               t[2] != null && typeof t[2] == 'object' && !(t[2] instanceof Array)) {
+      return 'switch';
+    } else if (t[0] === 'sized' && t.length == 3) {
+      return 'sized';
+    } else if (t[0] === 'endian' && t.length == 3) {
+      return 'endian';
+    } else if (t[0] === 'align' && typeof t[1] == 'number' && t.length <= 4) {
+      return 'align';
+    } else if (t[0] === 'cstruct' &&
+        (t.length == 2 || (t.length == 3 && typeof t[2] == 'number'))) {
+      return 'cstruct';
+    } else if (t.length == 0 || (t.length % 2 == 0 && typeof t[0] == 'string' &&
+               (!isTypeName(t[0]) || (typeof t[1] == 'string' && isTypeName(t[1]))))) {
+      return 'struct';
+    } else if (t[1] != null && typeof t[1] == 'object') {
+      return 'branch';
+    }
+    return 'array';
+  } else if (t != null && typeof t == 'object') {
+    return typeof t.get == 'function' || typeof t.set == 'function' ? 'custom' : 'struct';
+  }
+  return 'unknown';
+};
+
+/**
+  Element type and length of an array definition.
+  */
+var arrayElement = function(t) {
+  return t[0] === '[]' ? t[1] : t[0];
+};
+
+var arrayLength = function(t) {
+  return t[0] === '[]' ? t[2] : t[1];
+};
+
+/**
+  The type of a field of struct, or null if the field is an ['if', expr, type]
+  whose condition is false. Readers pass the offset start of the field, and
+  get false with lastError set if the condition needs a value the data
+  doesn't have.
+  */
+var fieldType = function(t, struct, start) {
+  var c;
+  while (definitionKind(t) == 'conditional') {
+    c = start == null ? evaluate(t[1], struct) : evaluateRead(t[1], struct, start, t);
+    if (!c) {
+      return c === undefined ? false : null;
+    }
+    t = t[2];
+  }
+  return t;
+};
+
+/**
+  Returns the case of a ['switch', expr, cases, default] for the value v of
+  its expression, the default if no case matches, or undefined without a
+  default. The keys of cases are values like '5', '0xFFE1' or 'JFIF', or
+  inclusive ranges like '0xFFE0..0xFFEF'.
+  */
+var switchCase = function(t, v) {
+  var table = switchTables.get(t[2]), k, m;
+  if (!table) {
+    table = {values: new Map(), ranges: []};
+    for (k in t[2]) {
+      if ((m = k.match(/^\s*(-?(?:0x[\da-f]+|\d+))\s*\.\.\s*(-?(?:0x[\da-f]+|\d+))\s*$/i))) {
+        table.ranges.push(parseInt(m[1]), parseInt(m[2]), t[2][k]);
+      } else {
+        table.values.set(/^-?(0x[\da-f]+|\d+)$/i.test(k) ? parseInt(k) : k, t[2][k]);
+      }
+    }
+    switchTables.set(t[2], table);
+  }
+  if (table.values.has(v)) {
+    return table.values.get(v);
+  }
+  for (k=0; k<table.ranges.length; k+=3) {
+    if (v >= table.ranges[k] && v <= table.ranges[k+1]) {
+      return table.ranges[k+2];
+    }
+  }
+  return t[3];
+};
+
+var switchTables = new WeakMap();
+
+/**
+  Returns the byte order of an ['endian', order, type] on struct, true for
+  little-endian. order is 'le', 'be', DataStream.LITTLE_ENDIAN,
+  DataStream.BIG_ENDIAN or an expression with one of those values, like
+  "byteOrder == 'MM' ? 'be' : 'le'". Returns null for other values.
+  Readers pass the offset start of t, and get undefined with lastError set
+  if the expression needs a value the data doesn't have.
+  */
+var byteOrder = function(t, struct, start) {
+  var v = t[1];
+  if (typeof v == 'string' && v != 'le' && v != 'be') {
+    v = start == null ? evaluate(v, struct) : evaluateRead(v, struct, start, t);
+    if (v === undefined) {
+      return v;
+    }
+  }
+  return v === 'le' || v === true ? true : v === 'be' || v === false ? false : null;
+};
+
+/**
+  Returns the result of f() with the option name of the running reader or
+  writer set to value, like endianness for an ['endian', order, type].
+  */
+var withOption = function(name, value, f) {
+  var state = structState, old = state[name];
+  state[name] = value;
+  try {
+    return f();
+  } finally {
+    state[name] = old;
+  }
+};
+
+/**
+  Returns the alignment in bytes that a C compiler gives type t, at most
+  pack: the size of numbers, 2 for u16strings, 1 for other strings and
+  bitfields, the largest alignment of their fields for structs and of
+  their element for arrays.
+  */
+var alignmentOf = function(t, pack) {
+  var a = typeof t == 'object' && t !== null ? alignments.get(t) : undefined;
+  if (a === undefined) {
+    a = naturalAlignment(t);
+    if (typeof t == 'object' && t !== null && aligning.length == 0) {
+      alignments.set(t, a);
+    }
+  }
+  return Math.min(a, pack);
+};
+
+var alignments = new WeakMap();
+
+var naturalAlignment = function(t) {
+  var a = 1, p;
+  var max = function(f) {
+    a = Math.max(a, alignmentOf(f, Infinity));
+  };
+  if (typeof t == 'string' && t in structTypes) {
+    if (aligning.indexOf(t) > -1) {
+      return 1; // a type that contains itself
+    }
+    aligning.push(t);
+    try {
+      return alignmentOf(structTypes[t], Infinity);
+    } finally {
+      aligning.pop();
+    }
+  }
+  switch (definitionKind(t)) {
+    case 'type':
+      p = parseType(t);
+      a = compiledAccessors.hasOwnProperty(p.type) ? compiledAccessors[p.type][1] :
+        p.type == 'u16string' ? 2 : 1;
+      break;
+    case 'struct':
+      eachField(t, function(n, f) {
+        max(f);
+      });
+      break;
+    case 'array':
+      max(arrayElement(t));
+      break;
+    case 'branch':
+      t.forEach(max);
+      break;
+    case 'switch':
+      switchCases(t).forEach(function(c) {
+        max(c[1]);
+      });
+      break;
+    case 'pointer':
+      max(t[1]);
+      break;
+    case 'conditional':
+    case 'sized':
+    case 'endian':
+      max(t[2]);
+      break;
+    case 'cstruct':
+      a = alignmentOf(t[1], t[2] || Infinity);
+      break;
+  }
+  return a;
+};
+
+// The registered names that alignmentOf is in.
+var aligning = [];
+
+/**
+  Returns offset rounded up to a multiple of n bytes from base.
+  */
+var alignOffset = function(offset, n, base) {
+  return offset + ((n - (offset - base) % n) % n + n) % n;
+};
+
+/**
+  The [name, type] cases of a switch, named by their keys, with the default
+  as 'default'.
+  */
+var switchCases = function(t) {
+  var r = [];
+  for (var k in t[2]) {
+    r.push([k, t[2][k]]);
+  }
+  if (t.length > 3) {
+    r.push(['default', t[3]]);
+  }
+  return r;
+};
+
+/**
+  Calls f(name, type) for the fields of a struct definition in order.
+  */
+var eachField = function(structDefinition, f) {
+  if (structDefinition instanceof Array) {
+    for (var i=0; i<structDefinition.length; i+=2) {
+      f(structDefinition[i], structDefinition[i+1]);
+    }
+  } else {
+    for (var n in structDefinition) {
+      f(n, structDefinition[n]);
+    }
+  }
+};
+
+/**
+  Returns the DataStream that function types and {get, set} types read and
+  write with, at idx: the running DataStream, or one over dataView with the
+  readStruct options. Needs DataStream.js.
+  */
+var typeStream = function(dataView, idx) {
+  var ds = structState;
+  if (ds === readStruct) {
+    if (typeof DataStream == 'undefined') {
+      throw "function types need DataStream.js";
+    }
+    ds = new DataStream(0, 0, readStruct.endianness);
+    ds._dynamicSize = false;
+    ds._buffer = dataView.buffer;
+    ds._byteOffset = dataView.byteOffset || 0;
+    ds._byteLength = ds._byteOffset + dataView.byteLength;
+    ds._dataView = dataView;
+    ds.encoding = readStruct.encoding;
+    ds.int64AsNumber = readStruct.int64AsNumber;
+  }
+  ds.position = idx[0];
+  ds._bitOffset = idx[1] || 0;
+  return ds;
+};
+
+/**
+  Reads a function type with t(ds, struct, parents) or a custom type with
+  t.get(ds, struct, parents), where parents are the structs that enclose
+  struct, outermost first. A null return value is a failure, described by
+  ds.parseError if the type called it.
+  */
+var readCustomType = function(dataView, idx, t, struct) {
+  var start = idx[0], ds = typeStream(dataView, idx);
+  var fieldStart = ds._fieldStart, v;
+  ds._fieldStart = start;
+  ds.lastError = null;
+  try {
+    v = typeof t == 'function' ? t(ds, struct, parentsOf(struct)) :
+      t.get(ds, struct, parentsOf(struct));
+  } finally {
+    ds._fieldStart = fieldStart;
+  }
+  idx[0] = ds.position;
+  idx[1] = ds._bitOffset;
+  if (v == null) {
+    structState.lastError = ds.lastError ||
+      new StructParseError('rejected by custom type', start, t);
+    if (structState.lastError.definition == null) {
+      structState.lastError.definition = t;
+      structState.lastError._updateMessage();
+    }
+  }
+  return v;
+};
+
+/**
+  Writes a function type with t(ds, v, struct, parents) or a custom type
+  with t.set(ds, v, struct, parents).
+  */
+var writeCustomType = function(dataView, idx, t, v, struct) {
+  var ds = typeStream(dataView, idx);
+  if (typeof t == 'function') {
+    t(ds, v, struct, parentsOf(struct));
+  } else {
+    t.set(ds, v, struct, parentsOf(struct));
+  }
+  idx[0] = ds.position;
+  idx[1] = ds._bitOffset;
+};
+
+/**
+  Parses the constant in a type like 'uint16=0xFFD8' to the type of value
+  that readType returns for it.
+  */
+var constValue = function(t, ref) {
+  if (/^u?int64$/.test(t)) {
+    return BigInt(ref);
+  } else if (/^float/.test(t)) {
+    return parseFloat(ref);
+  } else if (/string$/.test(t)) {
+    return ref;
+  }
+  return parseInt(ref);
+};
+
+readType = function(dataView, idx, t, struct) {
+  var p = parseType(t);
+  var v, paddedTo = p.size, ref = p.ref, cmp = p.cmp;
+  var le = p.le == null ? structState.endianness : p.le;
+  var encoding = p.encoding;
+  var def = t, start;
+  var i,j,k,c;
+  t = p.type;
+  if (typeof t == 'string' && t != 'bits') {
+    alignToByte(idx);
+  }
+  start = idx[0];
+  c = typeof t == 'string' && compiledAccessors[t];
+  if (c && start + Math.max(c[1], paddedTo) > dataView.byteLength) {
+    return parseFailure('unexpected end of data', start, def);
   }
   switch(t) {
 
+    case 'bits':
+      if (8 * start + (idx[1] || 0) + paddedTo > 8 * dataView.byteLength) {
+        return parseFailure('unexpected end of data', start, def);
+      }
+      v = readBits(dataView, idx, paddedTo, !!p.le);
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
+      return v;
+
     case 'uint8':
       v = dataView.getUint8(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(1, paddedTo);
       return v;
     case 'int8':
       v = dataView.getInt8(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(1, paddedTo);
       return v;
     case 'uint16':
       v = dataView.getUint16(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(2, paddedTo);
       return v;
     case 'int16':
       v = dataView.getInt16(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(2, paddedTo);
       return v;
     case 'uint32':
       v = dataView.getUint32(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(4, paddedTo);
       return v;
     case 'int32':
       v = dataView.getInt32(idx[0], le);
-      if (ref != null && !cmp(parseInt(ref), v)) return null;
+      if (ref != null && !cmp(parseInt(ref), v)) {
+        return constMismatch(start, def, cmp, parseInt(ref), v);
+      }
       idx[0] += Math.max(4, paddedTo);
       return v;
     case 'float32':
       v = dataView.getFloat32(idx[0], le);
-      if (ref != null && !cmp(parseFloat(ref), v)) return null;
+      if (ref != null && !cmp(parseFloat(ref), v)) {
+        return constMismatch(start, def, cmp, parseFloat(ref), v);
+      }
       idx[0] += Math.max(4, paddedTo);
       return v;
     case 'float64':
       v = dataView.getFloat64(idx[0], le);
-      if (ref != null && !cmp(parseFloat(ref), v)) return null;
+      if (ref != null && !cmp(parseFloat(ref), v)) {
+        return constMismatch(start, def, cmp, parseFloat(ref), v);
+      }
+      idx[0] += Math.max(8, paddedTo);
+      return v;
+    case 'uint64':
+      v = int64Value(dataView.getBigUint64(idx[0], le));
+      if (ref != null && !cmp(BigInt(ref), v)) {
+        return constMismatch(start, def, cmp, BigInt(ref), v);
+      }
+      idx[0] += Math.max(8, paddedTo);
+      return v;
+    case 'int64':
+      v = int64Value(dataView.getBigInt64(idx[0], le));
+      if (ref != null && !cmp(BigInt(ref), v)) {
+        return constMismatch(start, def, cmp, BigInt(ref), v);
+      }
       idx[0] += Math.max(8, paddedTo);
       return v;
 
+    case 'u16string':
+      // UTF-16 in the byte order of the type, sized in 16-bit units
+      encoding = le ? 'utf16le' : 'utf16be';
+      paddedTo = paddedTo ? paddedTo * 2 : (dataView.byteLength - idx[0]) & ~1;
+      // fall through
     case 'string':
-      v = '';
-      i = 0;
-      for (i = 0; i < paddedTo; i++) {
-        c = dataView.getUint8(idx[0] + i);
-        v += String.fromCharCode(c);
+      if (!paddedTo) {
+        // Unsized strings are as long as their constant or the rest of the data.
+        paddedTo = ref != null ? TextCodec.encode(ref, encoding).length :
+          dataView.byteLength - idx[0];
+      }
+      if (idx[0] + paddedTo > dataView.byteLength) {
+        return parseFailure('unexpected end of data', start, def);
       }
-      if (ref != null && !cmp(ref, v)) return null;
+      v = TextCodec.decode(bytesAt(dataView, idx[0], paddedTo), encoding);
+      if (ref != null && !cmp(ref, v)) return constMismatch(start, def, cmp, ref, v);
       idx[0] += paddedTo;
       return v;
 
-    case 'cstring':    
-      v = '';
-      i = 0;
-      if (paddedTo) {
-        for (i = 0; i < paddedTo; i++) {
-          c = dataView.getUint8(idx[0] + i);
-          if (c == 0) {
-            break;
-          }
-          v += String.fromCharCode(c);
-        }
-      } else {
-        while (c = dataView.getUint8(idx[0] + i++)) {
-          v += String.fromCharCode(c);
-        }
+    case 'cstring':
+      if (idx[0] + paddedTo > dataView.byteLength) {
+        return parseFailure('unexpected end of data', start, def);
+      }
+      c = bytesAt(dataView, idx[0], paddedTo || dataView.byteLength - idx[0]);
+      i = TextCodec.indexOfTerminator(c, encoding);
+      if (!paddedTo && i == c.length) {
+        return parseFailure('unterminated cstring', start, def);
       }
-      if (ref != null && !cmp(ref, v)) return null;
-      idx[0] += Math.max(i, paddedTo);
+      v = TextCodec.decode(c.subarray(0, i), encoding);
+      if (ref != null && !cmp(ref, v)) return constMismatch(start, def, cmp, ref, v);
+      idx[0] += paddedTo || i + TextCodec.unitSize(encoding);
       return v;
+  }
 
-    default:
-      if (t instanceof Array) {
-        var ta = t[0];
-        var length = t[1];
-        if (typeof length == 'string') {
-          if (length == '*') {
-            v = [];
-            var obj = null;
-            while (idx[0] < dataView.byteLength) {
-              obj = readType(dataView, idx, ta, struct);
-              if (!obj) break;
-              v.push(obj);
-            }
-            return v;
-          } else if (/[\*\-\+\/]/.test(length)) {
-            var segs = length.replace(/\s+/g,'').split(/(?=[\*\-\+\/])/);
-            var sum = 0;
-            for (var j=0; j<segs.length; j++) {
-              var seg = segs[j];
-              var cmd = seg.charAt(0);
-              if (/[\*\-\+\/]/.test(cmd)) {
-                seg = seg.substring(1);
-              } else {
-                cmd = "+";
-              }
-              if (/^\d+$/.test(seg)) {
-                seg = parseInt(seg);
-              } else {
-                seg = struct[seg];
-              }
-              switch(cmd) {
-                case "+": sum += seg; break;
-                case "-": sum -= seg; break;
-                case "/": sum /= seg; break;
-                case "*": sum *= seg; break;
-                default: sum = seg;
-              }
-            }
-            length = sum;
-          } else {
-            length = struct[length];
-          }
-	} else if (typeof length == 'object') { // branch
+  switch(definitionKind(t)) {
+    case 'struct':
+      return readFields(dataView, idx, t);
+
+    case 'custom':
+      return readCustomType(dataView, idx, t, struct);
+
+    case 'pointer':
+      return readPointer(dataView, idx, t, struct);
+
+    case 'conditional':
+      v = evaluateRead(t[1], struct, start, def);
+      if (v === undefined) {
+        return null;
+      } else if (!v) {
+        return parseFailure('condition is false', start, def);
+      }
+      return readType(dataView, idx, t[2], struct);
+
+    case 'switch':
+      v = evaluateRead(t[1], struct, start, def);
+      if (v === undefined) {
+        return null;
+      }
+      c = switchCase(t, v);
+      if (c === undefined) {
+        structState.lastError = new StructParseError('no case for ' + StructParseError.format(v),
+          start, def, undefined, v);
+        return null;
+      }
+      return readType(dataView, idx, c, struct);
+
+    case 'sized':
+      return readSized(dataView, idx, t, struct);
+
+    case 'endian':
+      le = byteOrder(t, struct, start);
+      if (le === undefined) {
+        return null;
+      } else if (le == null) {
+        return parseFailure('invalid byte order', start, def);
+      }
+      return withOption('endianness', le, function() {
+        return readType(dataView, idx, t[2], struct);
+      });
+
+    case 'align':
+      alignToByte(idx);
+      i = pointerBase(t[2], idx[0], struct, def);
+      if (i === undefined) {
+        return null;
+      }
+      i = alignOffset(idx[0], t[1], i);
+      if (i > dataView.byteLength) {
+        return parseFailure('unexpected end of data', start, def);
+      }
+      v = i - idx[0];
+      idx[0] = i;
+      return v;
+
+    case 'cstruct':
+      return withOption('_pack', t[2] || Infinity, function() {
+        return readType(dataView, idx, t[1], struct);
+      });
+
+    case 'type':
+      if (def in structTypes) {
+        return readFollowed(dataView, idx, structTypes[def], struct,
+          'recursion without progress', def);
+      }
+      break;
+
+    case 'branch':
+      i = idx[0];
+      j = idx[1];
+      var rejected = [];
+      for (k=0; k < t.length; k++) {
+        idx[0] = i;
+        idx[1] = j;
+        v = tryReadType(dataView, idx, t[k], struct);
+        if (v != null) break;
+        rejected.push(structState.lastError || new StructParseError('no value', i, t[k]));
+      }
+      if (v == null) {
+        idx[0] = i;
+        idx[1] = j;
+        parseFailure('no alternative matched', i, def);
+        structState.lastError.alternatives = rejected;
+        structState.lastError._updateMessage();
+        return null;
+      }
+      structState.lastError = null;
+      return v;
+
+    case 'array':
+      var ta = arrayElement(t);
+      var length = arrayLength(t);
+      var typed = typeof ta == 'string' && /^(u?int(8|16|32|64)|float(32|64))(le|be)?$/.test(ta);
+      if (typed) {
+        le = /[lb]e$/.test(ta) ? ta.slice(-2) == 'le' : structState.endianness;
+        ta = ta.replace(/[lb]e$/, '');
+      }
+      if (typeof length == 'function') {
+        length = length(struct, typeStream(dataView, idx), t, parentsOf(struct));
+      } else if (length != null && typeof length == 'object') {
+        return readRepeated(dataView, idx, def, typed ? ta : null, le, length, struct);
+      } else if (length == '*') {
+        if (typed) {
+          // Numeric arrays take up the rest of the data.
+          alignToByte(idx);
+          length = Math.floor((dataView.byteLength - idx[0]) / compiledAccessors[ta][1]);
+          return readTypedArray(dataView, idx, ta, le, length);
+        }
+        v = [];
+        var obj = null;
+        while (idx[0] < dataView.byteLength) {
           i = idx[0];
-          for (k=0; k < t.length; k++) {
+          j = idx[1];
+          obj = tryReadType(dataView, idx, ta, struct);
+          if (obj == null) {
+            // In strict mode, only a failure at the start of an element
+            // ends the array, anything deeper is an error.
+            if (structState.strict && structState.lastError && structState.lastError.offset > i) {
+              structState.lastError.prefix('[' + v.length + ']');
+              return null;
+            }
             idx[0] = i;
-            v = readType(dataView, idx, t[k], struct); 
-            if (v) break;
-          }
-          return v;
-        } else if (length < 0) {
-          length = dataView.byteLength - idx[0] + length;
-        }
-        if (/^(u?int(8|16|32)|float(32|64))(le)?$/.test(ta)) {
-          // Create Typed Array and swizzle in-place
-          switch(ta.replace(/le$/, '')) {
-            case 'uint8': 
-              v = new Uint8Array(dataView.buffer, idx[0], length);
-              break;
-            case 'uint16': 
-              if (idx[0] % 8 == 2) {
-                v = new Uint16Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Uint16Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
-            case 'uint32': 
-              if (idx[0] % 8 == 4) {
-                v = new Uint32Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Uint32Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
-            case 'int8': 
-              v = new Int8Array(dataView.buffer, idx[0], length);
-              break;
-            case 'int16': 
-              if (idx[0] % 8 == 2) {
-                v = new Int16Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Int16Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
-            case 'int32': 
-              if (idx[0] % 8 == 4) {
-                v = new Int32Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Int32Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
-            case 'float32': 
-              if (idx[0] % 4 == 0) {
-                v = new Float32Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Float32Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
-            case 'float64': 
-              if (idx[0] % 8 == 0) {
-                v = new Float64Array(dataView.buffer, idx[0], length);
-              } else {
-                v = new Float64Array(length);
-                new Int8Array(v.buffer).set(new Int8Array(dataView.buffer, idx[0], v.byteLength));
-              }
-              break;
+            idx[1] = j;
+            break;
           }
-          arrayToNative(v, /le$/.test(ta));
-          idx[0] += v.byteLength;
-          return v;
-        } else {
-          v = new Array(length);
-          for (i=0; i<length; i++) {
-            v[i] = readType(dataView, idx, ta, struct);
+          v.push(obj);
+          if (idx[0] == i && idx[1] == j) {
+            break; // an empty element would repeat forever
           }
-          return v;
         }
-      } else {
-        return readStruct(dataView, idx, t);
+        structState.lastError = null;
+        return v;
+      } else if (typeof length == 'string') {
+        length = evaluateRead(length, struct, start, def);
+        if (length === undefined) {
+          return null;
+        }
+      } else if (length < 0) {
+        length = dataView.byteLength - idx[0] + length;
       }
+      if (typed) {
+        return readTypedArray(dataView, idx, ta, le, length);
+      }
+      v = new Array(length);
+      for (i=0; i<length; i++) {
+        v[i] = readValue(dataView, idx, ta, struct);
+        if (v[i] == null) {
+          structState.lastError.prefix('[' + i + ']');
+          return null;
+        }
+      }
+      return v;
   }
+  return parseFailure('unknown type', start, def);
 };
 
-var writeStruct = function(dataView, idx, structDefinition, struct) {
-  for (var n in structDefinition) {
-    var t = structDefinition[n];
-    writeType(dataView, idx, t, struct[n]);
+/**
+  Reads a ['sized', length, type] of length bytes, a number or an
+  expression, from a view of the data that ends after them. The type can't
+  read past them, arrays to the end of the data end with them, and the
+  position goes to their end even if the type read less.
+  */
+var readSized = function(dataView, idx, t, struct) {
+  var ds = structState, start, end, view, saved = null, v;
+  alignToByte(idx);
+  start = idx[0];
+  end = typeof t[1] == 'string' ? evaluateRead(t[1], struct, start, t) : t[1];
+  if (end === undefined) {
+    return null;
   }
-  return;
-};
-
-var writeType = function(dataView, idx, t, v) {
-  switch(t) {
+  end += start;
+  if (!(end >= start)) {
+    return parseFailure('invalid size', start, t);
+  } else if (end > dataView.byteLength) {
+    return parseFailure('unexpected end of data', start, t);
+  }
+  view = new DataView(dataView.buffer, dataView.byteOffset, end);
+  if (ds !== readStruct) {
+    // Function types read from the DataStream itself.
+    saved = [ds._dataView, ds._byteLength];
+    ds._dataView = view;
+    ds._byteLength = ds._byteOffset + end;
+  }
+  try {
+    v = readType(view, idx, t[2], struct);
+  } finally {
+    if (saved) {
+      ds._dataView = saved[0];
+      ds._byteLength = saved[1];
+    }
+  }
+  if (v != null) {
+    idx[0] = end;
+    idx[1] = 0;
+  }
+  return v;
+};
+
+/**
+  Reads an array whose length is a repetition object r, with expressions
+  or numbers as its values:
+
+    {until: expr, inclusive: true} reads elements until expr holds, with _
+    as the last element and _index as its index. The last element is left
+    unread if inclusive is false.
+    {terminator: value} reads elements up to value, or up to a list of
+    values like [0xFF, 0xD9]. The terminator is skipped over, unless
+    consume is false.
+    {size: expr} or {end: expr} reads elements that fill size bytes, or
+    up to byte offset end.
+    {max: n} limits the element count, and reads to the end of the data on
+    its own.
+
+  ta is the numeric type of typed array elements, read with le, or null.
+  */
+var readRepeated = function(dataView, idx, def, ta, le, r, struct) {
+  var t = arrayElement(def), start, end = null, max = Infinity, v = [];
+  var terminator = r.terminator == null ? null : [].concat(r.terminator);
+  var value = function(x) {
+    return typeof x == 'string' ? evaluateRead(x, struct, start, def) : x;
+  };
+  var i, j, k, e, n, a;
+  if (ta) {
+    alignToByte(idx);
+  }
+  start = idx[0];
+  if (r.max != null) {
+    max = value(r.max);
+  }
+  if (r.size != null) {
+    end = value(r.size);
+    if (end !== undefined) {
+      end += start;
+    }
+  } else if (r.end != null) {
+    end = value(r.end);
+  } else if (r.until == null && terminator == null) {
+    end = dataView.byteLength;
+  }
+  if (max === undefined || end === undefined) {
+    return null;
+  }
+  if (ta && r.until == null) {
+    // Count the elements, then read them as a typed array.
+    a = compiledAccessors[ta];
+    e = 'get' + a[0];
+    if (end != null) {
+      n = (end - start) / a[1];
+      if (n < 0 || n % 1 != 0) {
+        return parseFailure('size is not a multiple of the element size', start, def,
+          a[1], end - start);
+      }
+    } else {
+      for (n=0; ; n++) {
+        if (start + (n + terminator.length) * a[1] > dataView.byteLength) {
+          return parseFailure('terminator not found', start, def);
+        }
+        for (k=0; k<terminator.length &&
+            dataView[e](start + (n + k) * a[1], le) == terminator[k]; k++);
+        if (k == terminator.length) {
+          break;
+        }
+      }
+    }
+    if (n > max) {
+      return parseFailure('more than ' + max + ' elements', start, def, max, n);
+    }
+    v = readTypedArray(dataView, idx, ta, le, n);
+    if (terminator && r.consume !== false) {
+      idx[0] += terminator.length * a[1];
+    }
+    return v;
+  }
+  for (;;) {
+    i = idx[0];
+    j = idx[1];
+    if (end != null && i >= end) {
+      break;
+    }
+    if (terminator) {
+      for (k=0; k<terminator.length; k++) {
+        e = tryReadType(dataView, idx, t, struct);
+        if (e == null || e != terminator[k]) {
+          break;
+        }
+      }
+      if (k == terminator.length) {
+        if (r.consume === false) {
+          idx[0] = i;
+          idx[1] = j;
+        }
+        break;
+      }
+      idx[0] = i;
+      idx[1] = j;
+    }
+    if (v.length >= max) {
+      return parseFailure('more than ' + max + ' elements', i, def);
+    }
+    e = readValue(dataView, idx, t, struct);
+    if (e == null) {
+      structState.lastError.prefix('[' + v.length + ']');
+      return null;
+    }
+    if (idx[0] == i && idx[1] == j) {
+      return parseFailure('element reads nothing', i, def);
+    }
+    k = r.until != null && evaluateElement(r.until, struct, e, v.length, i, def);
+    if (k === undefined) {
+      return null;
+    } else if (k) {
+      if (r.inclusive === false) {
+        idx[0] = i;
+        idx[1] = j;
+      } else {
+        v.push(e);
+      }
+      break;
+    }
+    v.push(e);
+  }
+  if (end != null && idx[0] != end) {
+    return parseFailure('elements overrun the size', start, def, end, idx[0]);
+  }
+  if (ta) {
+    v = typedArrays[ta].from(v, /int64/.test(ta) ? BigInt : Number);
+  }
+  return v;
+};
+
+/**
+  Evaluates expr with the fields of struct, the array element e as _ and
+  its index n as _index, like evaluateRead for the element at offset start
+  of the array def.
+  */
+var evaluateElement = function(expr, struct, e, n, start, def) {
+  var scope = Object.create(struct || null);
+  scope._ = e;
+  scope._index = n;
+  try {
+    return StructExpression.evaluate(expr, scope, null,
+      StructExpression.parse(expr).parents ? parentsOf(struct) : null);
+  } catch(ex) {
+    return expressionFailure(ex, start, def);
+  }
+};
+
+/**
+  Reads an array of length numbers of type ta, like 'float32', in the byte
+  order le to a typed array in native byte order. Arrays at an offset of
+  the buffer that is a multiple of their element size are views to the
+  DataView buffer, unless the running reader copies arrays like DataStream
+  does.
+  */
+var readTypedArray = function(dataView, idx, ta, le, length) {
+  var T = typedArrays[ta], at, v;
+  alignToByte(idx);
+  if (!(length >= 0) || idx[0] + length * T.BYTES_PER_ELEMENT > dataView.byteLength) {
+    return parseFailure('unexpected end of data', idx[0], ta);
+  }
+  at = dataView.byteOffset + idx[0];
+  if (structState._mapArrays && at % T.BYTES_PER_ELEMENT == 0) {
+    bytesAt(dataView, idx[0], length * T.BYTES_PER_ELEMENT);
+    v = new T(dataView.buffer, at, length);
+  } else {
+    v = new T(length);
+    new Uint8Array(v.buffer).set(bytesAt(dataView, idx[0], v.byteLength));
+  }
+  if (v.buffer == dataView.buffer && v.BYTES_PER_ELEMENT > 1 &&
+      le != ArrayBuffer.littleEndian) {
+    v = v.slice(); // don't swizzle the source buffer
+  }
+  arrayToNative(v, le);
+  idx[0] += v.byteLength;
+  return v;
+};
+
+/**
+  Reads a ['->', type, target, base] pointer: an offset of the given type,
+  then the target definition at base + offset. The position continues after
+  the offset. base is 'file' (the default) for the start of the data,
+  'struct' for the start of the enclosing struct, 'self' for the start of
+  the offset itself, or an expression of the struct fields, like
+  'headerStart'. A ['~>', ...] pointer is lazy and returns a function that
+  reads the target when called, see lazyPointer.
+  */
+var readPointer = function(dataView, idx, t, struct) {
+  var start, at;
+  alignToByte(idx);
+  start = idx[0];
+  var offset = readType(dataView, idx, t[1], struct);
+  if (offset == null) {
+    return null;
+  }
+  at = pointerBase(t[3], start, struct, t);
+  if (at === undefined) {
+    return null;
+  }
+  at += Number(offset);
+  if (t[0] == '~>') {
+    return lazyPointer(dataView, at, t[2], struct);
+  }
+  return readFollowed(dataView, [at, 0], t[2], struct, 'pointer cycle', t);
+};
+
+/**
+  Reads t at idx, unless t is already being read at the same offset further
+  up, as with pointers that lead back to their struct or a definition that
+  contains itself without reading anything. That fails with reason instead
+  of going on forever.
+  */
+var readFollowed = function(dataView, idx, t, struct, reason, def) {
+  var following = structState._following, at = idx[0], i;
+  for (i=0; i<following.length; i+=3) {
+    if (following[i] === dataView && following[i+1] == at && following[i+2] === t) {
+      return parseFailure(reason, at, def);
+    }
+  }
+  following.push(dataView, at, t);
+  try {
+    return readType(dataView, idx, t, struct);
+  } finally {
+    following.length -= 3;
+  }
+};
+
+/**
+  Returns the offset that a pointer or ['align', ...] base refers to.
+  Readers pass the type t, and get undefined with lastError set if the
+  base expression needs a value the data doesn't have.
+  */
+var pointerBase = function(base, start, struct, t) {
+  if (base == null || base == 'file') {
+    return 0;
+  } else if (base == 'struct') {
+    return structState._structStart;
+  } else if (base == 'self') {
+    return start;
+  }
+  return t == null ? evaluate(base, struct) : evaluateRead(base, struct, start, t);
+};
+
+/**
+  Returns a function that reads target at offset at when first called and
+  returns it from then on, with the offset as its offset property. Failures
+  return null with lastError set, or throw in strict mode, like readStruct.
+  The target is read with the byte order and C layout of the pointer.
+  */
+var lazyPointer = function(dataView, at, target, struct) {
+  var state = structState, le = state.endianness, pack = state._pack;
+  var v = null, parents = parentsOf(struct);
+  if (struct != null) {
+    parents.push(struct);
+  }
+  var get = function() {
+    var s = structState, n = structStack.length, e, k;
+    if (v == null) {
+      structState = state;
+      structStack.push.apply(structStack, parents);
+      e = state.endianness;
+      k = state._pack;
+      state.endianness = le;
+      state._pack = pack;
+      try {
+        v = tryReadType(dataView, [at, 0], target, struct);
+        if (v == null && state.strict) {
+          throw state.lastError;
+        }
+      } finally {
+        state.endianness = e;
+        state._pack = k;
+        structState = s;
+        structStack.length = n;
+      }
+    }
+    return v;
+  };
+  get.offset = at;
+  return get;
+};
+
+/**
+  Writes struct at idx. Derived '<-expr' fields are written as zero first
+  and filled in after the rest of the struct, so that their expressions
+  can use the byte sizes of the fields with sizeof(name) and the size of
+  the whole struct with sizeof(). The targets of pointers are written
+  after the struct, see writeWithPointers.
+  */
+writeStruct = function(dataView, idx, structDefinition, struct) {
+  var state = structState;
+  structState = readStruct;
+  try {
+    writeWithPointers(dataView, idx, function(dataView, idx) {
+      writeFields(dataView, idx, structDefinition, struct);
+    });
+  } finally {
+    structState = state;
+  }
+};
+
+/**
+  Runs the write f(dataView, idx), then writes the targets of the pointers
+  that it wrote after it and fills in their offsets. Targets are written in
+  the order of their pointers, and an object pointed to more than once with
+  the same target definition is written once. A write nested in another
+  leaves the targets to the outer one.
+  */
+var writeWithPointers = function(dataView, idx, f) {
+  var state = structState, written = new Map(), le = state.endianness, pack = state._pack;
+  var r, at, i;
+  if (state._pointers) {
+    f(dataView, idx);
+    return;
+  }
+  state._pointers = [];
+  try {
+    f(dataView, idx);
+    // Targets can have pointers of their own, which go to the end of the list.
+    // They are written in the byte order and C layout of their pointers.
+    for (i=0; i<state._pointers.length; i++) {
+      r = state._pointers[i];
+      state.endianness = r.le;
+      state._pack = r.pack;
+      at = typeof r.value == 'object' && written.get(r.value);
+      if (!at || at.target !== r.target) {
+        alignToByte(idx);
+        at = {target: r.target, offset: idx[0]};
+        writeType(dataView, idx, r.target, r.value, r.struct);
+        if (typeof r.value == 'object') {
+          written.set(r.value, at);
+        }
+      }
+      writeType(dataView, r.idx, r.type, at.offset - r.base, r.struct);
+    }
+  } finally {
+    state._pointers = null;
+    state.endianness = le;
+    state._pack = pack;
+  }
+};
+
+/**
+  Writes the offset of a pointer as zero and queues its target for
+  writeWithPointers. Lazy pointers that were read are written with their
+  targets.
+  */
+var writePointer = function(dataView, idx, t, v, struct) {
+  var pointers = structState._pointers, start;
+  alignToByte(idx);
+  start = idx[0];
+  if (!pointers) {
+    throw new StructParseError('pointers need writeStruct', start, t);
+  }
+  if (typeof v == 'function') {
+    v = v();
+  }
+  pointers.push({idx: [start, 0], type: t[1], target: t[2], value: v, struct: struct,
+                 base: pointerBase(t[3], start, struct), le: structState.endianness,
+                 pack: structState._pack});
+  writeType(dataView, idx, t[1], 0, struct);
+};
+
+/**
+  Writes the fields of an object or ['name', type, ...] struct definition.
+  */
+var writeFields = function(dataView, idx, structDefinition, struct) {
+  var sizes = {}, derived = [], start = idx[0], structStart = structState._structStart, end;
+  structState._structStart = start;
+  structStack.push(struct);
+  eachField(structDefinition, function(n, t) {
+    var p, at = idx[0];
+    try {
+      t = fieldType(t, struct);
+      if (t == null) {
+        sizes[n] = 0;
+        return;
+      }
+      if (structState._pack) {
+        writePadding(dataView, idx, cPadding(idx, t));
+        at = idx[0];
+      }
+      p = parseType(t);
+      if (p.derived != null) {
+        if (p.type != 'bits') {
+          alignToByte(idx);
+        }
+        derived.push({name: n, type: t, idx: [idx[0], idx[1]]});
+        writeType(dataView, idx, t, 0, struct);
+      } else {
+        writeType(dataView, idx, t, struct[n], struct);
+      }
+    } catch(e) {
+      if (e instanceof StructParseError) {
+        e.prefix(n);
+      }
+      structState._structStart = structStart;
+      structStack.pop();
+      throw e;
+    }
+    sizes[n] = idx[0] - at;
+  });
+  end = structState._pack ? cPadding(idx, structDefinition) : idx[0];
+  structState._structStart = structStart;
+  try {
+    writePadding(dataView, idx, end);
+    if (derived.length > 0) {
+      sizes[''] = idx[0] - start;
+      writeDerived(dataView, derived, struct, sizes);
+    }
+  } finally {
+    structStack.pop();
+  }
+};
+
+/**
+  Fills in the derived fields that writeStruct wrote as zero.
+  Each entry of derived is {name, type, idx} of a field.
+  */
+var writeDerived = function(dataView, derived, struct, sizes) {
+  var values = Object.create(struct), parents = parentsOf(struct);
+  for (var i=0; i<derived.length; i++) {
+    var n = derived[i].name;
+    values[n] = StructExpression.evaluate(parseType(derived[i].type).derived,
+      values, sizes, parents);
+    writeType(dataView, derived[i].idx, derived[i].type, values[n], values);
+  }
+};
+
+/**
+  Writes value v of type t at idx. Writes the constant of '=const' types
+  if v is missing, and throws a StructParseError if v is missing or doesn't
+  match the constant. Padding bytes of ':N' types are skipped over.
+  */
+writeType = function(dataView, idx, t, v, struct) {
+  var p = parseType(t);
+  var le = p.le == null ? structState.endianness : p.le, start, ref, i;
+  if (typeof t == 'function' || (typeof t == 'object' && definitionKind(t) == 'custom')) {
+    writeCustomType(dataView, idx, t, v, struct);
+    return;
+  } else if (typeof t == 'string' && t in structTypes) {
+    writeType(dataView, idx, structTypes[t], v, struct);
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'conditional') {
+    if (!evaluate(t[1], struct)) {
+      throw new StructParseError('condition is false', idx[0], t);
+    }
+    writeType(dataView, idx, t[2], v, struct);
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'switch') {
+    writeSwitch(dataView, idx, t, v, struct);
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'sized') {
+    writeSized(dataView, idx, t, v, struct);
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'endian') {
+    le = byteOrder(t, struct);
+    if (le == null) {
+      throw new StructParseError('invalid byte order', idx[0], t);
+    }
+    withOption('endianness', le, function() {
+      writeType(dataView, idx, t[2], v, struct);
+    });
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'align') {
+    alignToByte(idx);
+    writePadding(dataView, idx,
+      alignOffset(idx[0], t[1], pointerBase(t[2], idx[0], struct)), t[3]);
+    return;
+  } else if (typeof t == 'object' && definitionKind(t) == 'cstruct') {
+    withOption('_pack', t[2] || Infinity, function() {
+      writeType(dataView, idx, t[1], v, struct);
+    });
+    return;
+  }
+  if (typeof p.type == 'string' && p.type != 'bits') {
+    alignToByte(idx);
+  }
+  start = idx[0];
+  if (p.ref != null) {
+    ref = constValue(p.type, p.ref);
+    if (v == null && p.cmp == eqCmp) {
+      v = ref;
+    } else if (v != null && !p.cmp(ref, v)) {
+      throw constError(start, t, p.cmp, ref, v);
+    }
+  }
+  if (v == null) {
+    throw new StructParseError('missing value', start, t);
+  }
+  switch(p.type) {
+
+    case 'bits':
+      writeBits(dataView, idx, v, p.size, !!p.le);
+      return;
 
     case 'uint8':
-      dataView.setUint8(idx[0], v);
-      idx[0]++;
+      dataView.setUint8(start, v);
+      idx[0] = start + 1;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'int8':
-      dataView.setInt8(idx[0], v);
-      idx[0]++;
+      dataView.setInt8(start, v);
+      idx[0] = start + 1;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'uint16':
-      dataView.setUint16(idx[0], v);
-      idx[0]+=2;
+      dataView.setUint16(start, v, le);
+      idx[0] = start + 2;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'int16':
-      dataView.setInt16(idx[0], v);
-      idx[0]+=2;
+      dataView.setInt16(start, v, le);
+      idx[0] = start + 2;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'uint32':
-      dataView.setUint32(idx[0], v);
-      idx[0]+=4;
+      dataView.setUint32(start, v, le);
+      idx[0] = start + 4;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'int32':
-      dataView.setInt32(idx[0], v);
-      idx[0]+=4;
+      dataView.setInt32(start, v, le);
+      idx[0] = start + 4;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'float32':
-      dataView.setFloat32(idx[0], v);
-      idx[0]+=4;
+      dataView.setFloat32(start, v, le);
+      idx[0] = start + 4;
+      writePadding(dataView, idx, start + p.size);
       return;
     case 'float64':
-      dataView.setFloat64(idx[0], v);
-      idx[0]+=8;
+      dataView.setFloat64(start, v, le);
+      idx[0] = start + 8;
+      writePadding(dataView, idx, start + p.size);
       return;
-
-    case 'uint16le':
-      dataView.setUint16(idx[0], v, true);
-      idx[0]+=2;
+    case 'uint64':
+      dataView.setBigUint64(start, BigInt(v), le);
+      idx[0] = start + 8;
+      writePadding(dataView, idx, start + p.size);
       return;
-    case 'int16le':
-      dataView.setInt16(idx[0], v, true);
-      idx[0]+=2;
+    case 'int64':
+      dataView.setBigInt64(start, BigInt(v), le);
+      idx[0] = start + 8;
+      writePadding(dataView, idx, start + p.size);
       return;
-    case 'uint32le':
-      dataView.setUint32(idx[0], v, true);
-      idx[0]+=4;
+
+    case 'u16string':
+      writeString(dataView, idx,
+        {type: t, size: p.size * 2, encoding: le ? 'utf16le' : 'utf16be'}, v);
+      return;
+    case 'string':
+    case 'cstring':
+      writeString(dataView, idx, p, v);
       return;
-    case 'int32le':
-      dataView.setInt32(idx[0], v, true);
-      idx[0]+=4;
+  }
+
+  switch(definitionKind(t)) {
+    case 'struct':
+      if (typeof v != 'object' || v instanceof Array || ArrayBuffer.isView(v)) {
+        throw new StructParseError('expected an object', start, t, undefined, v);
+      }
+      writeFields(dataView, idx, t, v);
       return;
-    case 'float32le':
-      dataView.setFloat32(idx[0], v, true);
-      idx[0]+=4;
+
+    case 'pointer':
+      writePointer(dataView, idx, t, v, struct);
       return;
-    case 'float64le':
-      dataView.setFloat64(idx[0], v, true);
-      idx[0]+=8;
+
+    case 'branch':
+      writeBranch(dataView, idx, t, v, struct);
       return;
 
-    case 'cstring':    
-      for (var i=0; i<v.length; i++) {
-        dataView.setUint8(idx[0]++, v.charCodeAt(i));
+    case 'array':
+      if (v.length == null) {
+        throw new StructParseError('expected an array', start, t, undefined, v);
+      }
+      for (i=0; i<v.length; i++) {
+        try {
+          writeType(dataView, idx, arrayElement(t), v[i], struct);
+        } catch(e) {
+          if (e instanceof StructParseError) {
+            e.prefix('[' + i + ']');
+          }
+          throw e;
+        }
+      }
+      ref = arrayLength(t);
+      if (ref != null && ref.terminator != null && ref.consume !== false) {
+        [].concat(ref.terminator).forEach(function(e) {
+          writeType(dataView, idx, arrayElement(t), e, struct);
+        });
       }
-      dataView.setUint8(idx[0]++, 0);
       return;
+  }
+  throw new StructParseError('unknown type', start, t);
+};
 
-    default:
-      if (t instanceof Array) {
-        var ta = t[0];
-        for (var i=0; i<v.length; i++) {
-          writeType(dataView, idx, ta, v[i]);
+/**
+  Writes v with the first branch alternative that accepts it, i.e. the
+  first one whose constants match v and whose fields v has.
+  */
+var writeBranch = function(dataView, idx, t, v, struct) {
+  var i = idx[0], j = idx[1], rejected = [];
+  var pointers = structState._pointers, n = pointers ? pointers.length : 0;
+  for (var k=0; k<t.length; k++) {
+    idx[0] = i;
+    idx[1] = j;
+    try {
+      writeType(dataView, idx, t[k], v, struct);
+      return;
+    } catch(e) {
+      if (!(e instanceof StructParseError || e instanceof RangeError)) {
+        throw e;
+      }
+      if (pointers) {
+        pointers.length = n; // drop the targets of the rejected alternative
+      }
+      rejected.push(StructParseError.from(e, i, t[k]));
+    }
+  }
+  idx[0] = i;
+  idx[1] = j;
+  var err = new StructParseError('no alternative matched', i, t);
+  err.alternatives = rejected;
+  err._updateMessage();
+  throw err;
+};
+
+/**
+  Writes v with the case of a switch that the expression selects on struct,
+  usually from its discriminator field.
+  */
+var writeSwitch = function(dataView, idx, t, v, struct) {
+  var d = evaluate(t[1], struct), c = switchCase(t, d);
+  if (c === undefined) {
+    throw new StructParseError('no case for ' + StructParseError.format(d),
+      idx[0], t, undefined, d);
+  }
+  writeType(dataView, idx, c, v, struct);
+};
+
+/**
+  Writes v with the type of a ['sized', length, type], zero-padded to the
+  length if it is a number. Expression lengths are left to the fields they
+  use, like a derived 'uint16<-sizeof()-2'.
+  */
+var writeSized = function(dataView, idx, t, v, struct) {
+  var start;
+  alignToByte(idx);
+  start = idx[0];
+  writeType(dataView, idx, t[2], v, struct);
+  alignToByte(idx);
+  if (typeof t[1] == 'number') {
+    if (idx[0] - start > t[1]) {
+      throw new StructParseError('overruns its size', start, t, t[1], idx[0] - start);
+    }
+    writePadding(dataView, idx, start + t[1]);
+  }
+};
+
+/**
+  Fills the bytes from idx up to offset end with the byte fill, or zeros.
+  */
+var writePadding = function(dataView, idx, end, fill) {
+  for (; idx[0] < end; idx[0]++) {
+    dataView.setUint8(idx[0], fill || 0);
+  }
+};
+
+/**
+  Writes a string, cstring or u16string field. Fields with a size are
+  truncated to it without splitting a character and zero-padded. Unsized
+  cstrings are zero-terminated, unsized strings are just their bytes.
+  */
+var writeString = function(dataView, idx, p, v) {
+  var size = p.size || null, i;
+  var u8 = TextCodec.encode(v, p.encoding, size);
+  if (size == null) {
+    size = u8.length + (p.type == 'cstring' ? TextCodec.unitSize(p.encoding) : 0);
+  }
+  for (i=0; i<size; i++) {
+    dataView.setUint8(idx[0]+i, i < u8.length ? u8[i] : 0);
+  }
+  idx[0] += size;
+};
+
+/**
+  Returns the number of bytes writeStruct would write for obj.
+
+  @param {Object} structDefinition Struct definition or any other type.
+  @param {Object} obj The value to measure.
+  @return {Number} Byte length of the encoded value.
+  */
+measureStruct = function(structDefinition, obj) {
+  var idx = [0], state = structState;
+  structState = readStruct;
+  try {
+    writeWithPointers(nullDataView, idx, function(dataView, idx) {
+      writeType(dataView, idx, structDefinition, obj);
+    });
+  } finally {
+    structState = state;
+  }
+  return idx[0] + (idx[1] ? 1 : 0);
+};
+
+/**
+  Encodes obj into a new ArrayBuffer of exactly the right size.
+
+  @param {Object} structDefinition Struct definition or any other type.
+  @param {Object} obj The value to encode.
+  @return {ArrayBuffer} The encoded bytes.
+  */
+encodeStruct = function(structDefinition, obj) {
+  var buf = new ArrayBuffer(measureStruct(structDefinition, obj));
+  var state = structState;
+  structState = readStruct;
+  try {
+    writeWithPointers(new DataView(buf), [0], function(dataView, idx) {
+      writeType(dataView, idx, structDefinition, obj);
+    });
+  } finally {
+    structState = state;
+  }
+  return buf;
+};
+
+/**
+  Stand-in for a DataView that ignores writes, for measuring with writeType.
+  */
+var nullDataView = {
+  byteLength: Infinity,
+  getUint8: function() { return 0; },
+  setUint8: function() {}, setInt8: function() {},
+  setUint16: function() {}, setInt16: function() {},
+  setUint32: function() {}, setInt32: function() {},
+  setFloat32: function() {}, setFloat64: function() {},
+  setBigUint64: function() {}, setBigInt64: function() {}
+};
+
+/**
+  Compiles a struct definition to a reader and a writer specialized for it.
+  Returns {read: function(dataView, idx), write: function(dataView, idx, struct)}
+  that work like readStruct and writeStruct with the definition, but faster.
+
+  Numeric fields and arrays are read and written by generated code with
+  their offsets, byte order and constants resolved. Nested structs, arrays
+  of structs and branches are compiled too, other fields go through readType
+  and writeType. When the compiled code fails, readStruct or writeStruct
+  runs again from the start to report the failure, so the results are
+  always the same.
+
+  @param {Object} structDefinition The struct definition to compile.
+  @return {Object} {read, write}
+  */
+compileStruct = function(structDefinition) {
+  // Compiled readers are function(dataView, idx, struct) that return null
+  // when they fail, and compiled writers are function(dataView, idx, v, struct)
+  // that return false. They call each other by index in R and W, as the
+  // definition may refer back to itself.
+  var env = {K: [], R: [], W: []};
+  var readers = new Map(), writers = new Map();
+
+  var scalar = function(t) {
+    var p = parseType(t);
+    return p.derived == null && typeof p.type == 'string' &&
+      compiledAccessors.hasOwnProperty(p.type) ? p : null;
+  };
+  // Pointers relative to their struct are read with readFields, which
+  // keeps track of where the struct starts.
+  var isStruct = function(t) {
+    t = namedType(t);
+    return definitionKind(t) == 'struct' &&
+      !fields(t).some(function(f) { return usesStructStart(f[1]); });
+  };
+  var usesStructStart = function(t) {
+    switch (definitionKind(t)) {
+      case 'pointer': return t[3] == 'struct';
+      case 'conditional': return usesStructStart(t[2]);
+      case 'sized': return usesStructStart(t[2]);
+      case 'endian': return usesStructStart(t[2]);
+      case 'align': return t[2] == 'struct';
+      case 'array': return usesStructStart(arrayElement(t));
+      case 'branch': return t.some(usesStructStart);
+      case 'switch': return switchCases(t).some(function(c) { return usesStructStart(c[1]); });
+    }
+    return false;
+  };
+  var isBranch = function(t) {
+    return definitionKind(namedType(t)) == 'branch';
+  };
+  var isSwitch = function(t) {
+    return definitionKind(t) == 'switch';
+  };
+  var isSized = function(t) {
+    return definitionKind(t) == 'sized';
+  };
+  var isEndian = function(t) {
+    return definitionKind(t) == 'endian';
+  };
+  var isArray = function(t) {
+    return definitionKind(t) == 'array' && /^(number|string)$/.test(typeof arrayLength(t));
+  };
+  var isCompiledArray = function(t) {
+    return isArray(t) && (isStruct(arrayElement(t)) || isBranch(arrayElement(t)));
+  };
+  var isTypedArray = function(t) {
+    var p = isArray(t) && arrayLength(t) != '*' && typeof arrayElement(t) == 'string' &&
+      scalar(arrayElement(t));
+    return p && p.ref == null && !p.size;
+  };
+  // The byte order of p, with E the byte order of the reader.
+  var leSource = function(p) {
+    return p.le == null ? 'E' : String(p.le);
+  };
+  // [name, type, condition] of the fields, with the type inside any
+  // ['if', expr, type] and the conditions joined with &&.
+  var fields = function(def) {
+    var f = [];
+    eachField(def, function(n, t) {
+      var c = [];
+      while (definitionKind(t) == 'conditional') {
+        c.push('evaluate(' + JSON.stringify(t[1]) + ', o)');
+        t = t[2];
+      }
+      f.push([n, t, c.join(' && ')]);
+    });
+    return f;
+  };
+  // The reader or writer index of each case of a switch, by case.
+  var caseIndices = function(t, compile) {
+    var ks = new Map();
+    switchCases(t).forEach(function(c) {
+      ks.set(c[1], compile(c[1]));
+    });
+    return ks;
+  };
+  var literal = function(v) {
+    env.K.push(v);
+    return 'K[' + (env.K.length-1) + ']';
+  };
+
+  var generate = function(args, body) {
+    var f = new Function('env', 'alignToByte', 'int64Value', 'readTypedArray', 'writeDerived',
+      'evaluate', 'P', 'var K = env.K, R = env.R, W = env.W;\n' +
+      'return function(' + args + ') {\n  var E = env.E;\n' + body + '};');
+    return f(env, alignToByte, int64Value, readTypedArray, writeDerived, evaluate, structStack);
+  };
+
+  var reader = function(t) {
+    if (readers.has(t)) {
+      return readers.get(t);
+    }
+    if (namedType(t) !== t) {
+      // Registered names are compiled as their definitions at the time.
+      readers.set(t, reader(namedType(t)));
+      return readers.get(t);
+    }
+    var k = env.R.length;
+    env.R.push(null);
+    readers.set(t, k);
+    if (isStruct(t)) {
+      env.R[k] = generate('dv, idx', structReaderSource(t));
+    } else if (isBranch(t)) {
+      env.R[k] = branchReader(env.R, t.map(function(c) { return reader(c); }));
+    } else if (isSwitch(t)) {
+      env.R[k] = switchReader(env.R, t, caseIndices(t, reader));
+    } else if (isSized(t)) {
+      env.R[k] = sizedReader(env.R, t, reader(t[2]));
+    } else if (isEndian(t)) {
+      env.R[k] = endianReader(env, t, reader(t[2]));
+    } else if (isCompiledArray(t)) {
+      env.R[k] = arrayReader(env.R, reader(arrayElement(t)), arrayLength(t));
+    } else if (isTypedArray(t)) {
+      env.R[k] = generate('dv, idx, o', lengthSource(arrayLength(t)) +
+        '  return readTypedArray(dv, idx, ' + JSON.stringify(scalar(arrayElement(t)).type) +
+        ', ' + leSource(scalar(arrayElement(t))) + ', n);\n');
+    } else {
+      env.R[k] = function(dataView, idx, struct) {
+        return readType(dataView, idx, t, struct);
+      };
+    }
+    return k;
+  };
+
+  var writer = function(t) {
+    if (writers.has(t)) {
+      return writers.get(t);
+    }
+    if (namedType(t) !== t) {
+      writers.set(t, writer(namedType(t)));
+      return writers.get(t);
+    }
+    var k = env.W.length;
+    env.W.push(null);
+    writers.set(t, k);
+    if (isStruct(t)) {
+      env.W[k] = generate('dv, idx, o',
+        '  if (o == null || typeof o != "object" || o instanceof Array ||\n' +
+        '      ArrayBuffer.isView(o)) return false;\n' +
+        structWriterSource(t));
+    } else if (isBranch(t)) {
+      env.W[k] = branchWriter(env.W, t.map(function(c) { return writer(c); }));
+    } else if (isSwitch(t)) {
+      env.W[k] = switchWriter(env.W, t, caseIndices(t, writer));
+    } else if (isSized(t)) {
+      env.W[k] = sizedWriter(env.W, t, writer(t[2]));
+    } else if (isEndian(t)) {
+      env.W[k] = endianWriter(env, t, writer(t[2]));
+    } else if (isCompiledArray(t)) {
+      env.W[k] = arrayWriter(env.W, writer(arrayElement(t)));
+    } else if (isArray(t) && scalar(arrayElement(t))) {
+      env.W[k] = generate('dv, idx, a', scalarArrayWriterSource(scalar(arrayElement(t))));
+    } else {
+      env.W[k] = function(dataView, idx, v, struct) {
+        writeType(dataView, idx, t, v, struct);
+        return true;
+      };
+    }
+    return k;
+  };
+
+  // The array length resolution of readType, to n.
+  var lengthSource = function(length) {
+    if (typeof length == 'string') {
+      return '  var n = evaluate(' + JSON.stringify(length) + ', o);\n';
+    } else if (length < 0) {
+      return '  var n = dv.byteLength - idx[0] + (' + length + ');\n';
+    }
+    return '  var n = ' + literal(length) + ';\n';
+  };
+
+  var readScalarSource = function(p, offset) {
+    var a = compiledAccessors[p.type];
+    var src = '  v = dv.get' + a[0] + '(p + ' + offset + ', ' + leSource(p) + ');\n';
+    if (/Big/.test(a[0])) {
+      src += '  v = int64Value(v);\n';
+    }
+    if (p.ref != null) {
+      var k = literal(constValue(p.type, p.ref));
+      src += '  if (' + (p.cmp == eqCmp ? '!(' + k + ' == v)' : k + ' == v') + ')' +
+        ' return P.pop(), null;\n';
+    }
+    return src;
+  };
+
+  var writeScalarSource = function(p, offset, fail) {
+    var a = compiledAccessors[p.type];
+    var src = '';
+    if (p.ref != null) {
+      var k = literal(constValue(p.type, p.ref));
+      src += p.cmp == eqCmp
+        ? '  if (v == null) v = ' + k + ';\n  else if (!(' + k + ' == v)) ' + fail + '\n'
+        : '  if (v != null && ' + k + ' == v) ' + fail + '\n';
+    }
+    src += '  if (v == null) ' + fail + '\n' +
+      '  dv.set' + a[0] + '(' + offset + ', ' + (/Big/.test(a[0]) ? 'BigInt(v)' : 'v') + ', ' +
+      leSource(p) + ');\n';
+    if (p.size > a[1]) {
+      // Padding is zeroed like writeType does.
+      src += '  for (var z=' + a[1] + '; z<' + p.size + '; z++)' +
+        ' dv.setUint8(' + offset + ' + z, 0);\n';
+    }
+    return src;
+  };
+
+  // Consecutive numeric fields use offsets from p. Structs are on the
+  // struct stack P while they are read and written.
+  var structReaderSource = function(def) {
+    var src = '  var o = {}, p, v;\n  P.push(o);\n';
+    var f = fields(def), run = 0, n, t, c, p, i;
+    for (i=0; i<f.length; i++) {
+      n = f[i][0];
+      t = f[i][1];
+      c = f[i][2];
+      p = !c && scalar(t);
+      if (p) {
+        if (run == 0) {
+          src += '  alignToByte(idx);\n  p = idx[0];\n';
         }
-        return;
+        if (p.size > compiledAccessors[p.type][1]) {
+          // The DataView only checks the bytes of the number, not its padding.
+          src += '  if (p + ' + (run + p.size) + ' > dv.byteLength) return P.pop(), null;\n';
+        }
+        src += readScalarSource(p, run);
+        run += Math.max(compiledAccessors[p.type][1], p.size);
       } else {
-        writeStruct(dataView, idx, t, v);
+        if (run > 0) {
+          src += '  idx[0] = p + ' + run + ';\n';
+          run = 0;
+        }
+        src += (c ? '  if (' + c + ') {\n' : '') +
+          '  v = R[' + reader(t) + '](dv, idx, o);\n  if (v == null) return P.pop(), null;\n';
+      }
+      src += '  o[' + JSON.stringify(n) + '] = v;\n' + (c ? '  }\n' : '');
+    }
+    if (run > 0) {
+      src += '  idx[0] = p + ' + run + ';\n';
+    }
+    return src + '  P.pop();\n  return o;\n';
+  };
+
+  // Structs with derived fields write one field at a time to track the
+  // field sizes for writeDerived.
+  var structWriterSource = function(def) {
+    var src = '  var p, v;\n  P.push(o);\n', fail = 'return P.pop(), false;';
+    var f = fields(def), run = 0, derived = false, n, t, c, p, i;
+    for (i=0; i<f.length; i++) {
+      derived = derived || parseType(f[i][1]).derived != null;
+    }
+    if (derived) {
+      src += '  var S = {}, D = [], s0 = idx[0], a;\n';
+    }
+    for (i=0; i<f.length; i++) {
+      n = f[i][0];
+      t = f[i][1];
+      c = f[i][2];
+      p = !c && scalar(t);
+      if (derived) {
+        src += '  a = idx[0];\n';
+      }
+      if (p) {
+        if (run == 0) {
+          src += '  alignToByte(idx);\n  p = idx[0];\n';
+        }
+        src += '  v = o[' + JSON.stringify(n) + '];\n' + writeScalarSource(p, 'p + ' + run, fail);
+        run += Math.max(compiledAccessors[p.type][1], p.size);
+      } else {
+        if (run > 0) {
+          src += '  idx[0] = p + ' + run + ';\n';
+          run = 0;
+        }
+        if (c) {
+          src += '  if (' + c + ') {\n';
+        }
+        if (parseType(t).derived != null) {
+          src += (parseType(t).type != 'bits' ? '  alignToByte(idx);\n' : '') +
+            '  D.push({name: ' + JSON.stringify(n) + ', type: ' + literal(t) +
+            ', idx: [idx[0], idx[1]]});\n' +
+            '  if (!W[' + writer(t) + '](dv, idx, 0, o)) ' + fail + '\n';
+        } else {
+          src += '  if (!W[' + writer(t) + '](dv, idx, o[' + JSON.stringify(n) + '], o)) ' +
+            fail + '\n';
+        }
+        if (c) {
+          src += '  }\n';
+        }
+      }
+      if (derived) {
+        if (run > 0) {
+          src += '  idx[0] = p + ' + run + ';\n';
+          run = 0;
+        }
+        src += '  S[' + JSON.stringify(n) + '] = idx[0] - a;\n';
+      }
+    }
+    if (run > 0) {
+      src += '  idx[0] = p + ' + run + ';\n';
+    }
+    if (derived) {
+      src += '  S[""] = idx[0] - s0;\n  writeDerived(dv, D, o, S);\n';
+    }
+    return src + '  P.pop();\n  return true;\n';
+  };
+
+  // Like writeType, aligns to a byte only when there are elements.
+  var scalarArrayWriterSource = function(p) {
+    return '  if (a == null || a.length == null) return false;\n' +
+      '  var n = a.length, p, v, i;\n' +
+      '  if (n > 0) alignToByte(idx);\n' +
+      '  p = idx[0];\n' +
+      '  for (i=0; i<n; i++) {\n' +
+      '    v = a[i];\n' +
+      writeScalarSource(p, 'p', 'return false;').replace(/^(?=.)/gm, '  ') +
+      '    p += ' + Math.max(compiledAccessors[p.type][1], p.size) + ';\n' +
+      '  }\n' +
+      '  idx[0] = p;\n' +
+      '  return true;\n';
+  };
+
+  var read = env.R[reader(structDefinition)];
+  var write = env.W[writer(structDefinition)];
+
+  return {
+    read: function(dataView, idx) {
+      var i = idx[0], j = idx[1], v = null, state = structState, d = structStack.length;
+      var depth = readStruct._depth, structStart = readStruct._structStart;
+      structState = readStruct;
+      env.E = readStruct.endianness;
+      readStruct._depth++;
+      try {
+        v = read(dataView, idx);
+      } catch(e) {
+        if (!isCompiledFailure(e)) {
+          throw e;
+        }
+      } finally {
+        readStruct._depth = depth;
+        readStruct._structStart = structStart;
+        structState = state;
+        structStack.length = d;
+      }
+      if (v == null) {
+        idx[0] = i;
+        idx[1] = j;
+        return readStruct(dataView, idx, structDefinition);
+      }
+      readStruct.lastError = null;
+      return v;
+    },
+    write: function(dataView, idx, struct) {
+      var i = idx[0], j = idx[1], state = structState, d = structStack.length;
+      structState = readStruct;
+      env.E = readStruct.endianness;
+      try {
+        writeWithPointers(dataView, idx, function(dataView, idx) {
+          var n = readStruct._pointers.length, ok = false;
+          try {
+            ok = write(dataView, idx, struct);
+          } catch(e) {
+            if (!isCompiledFailure(e)) {
+              throw e;
+            }
+          }
+          if (!ok) {
+            idx[0] = i;
+            idx[1] = j;
+            readStruct._pointers.length = n;
+            structStack.length = d;
+            writeFields(dataView, idx, structDefinition, struct);
+          }
+        });
+      } finally {
+        structState = state;
+        structStack.length = d;
+      }
+    }
+  };
+};
+
+/**
+  DataView accessor names and sizes of the types that compileStruct
+  generates code for.
+  */
+var compiledAccessors = {
+  uint8: ['Uint8', 1], int8: ['Int8', 1],
+  uint16: ['Uint16', 2], int16: ['Int16', 2],
+  uint32: ['Uint32', 4], int32: ['Int32', 4],
+  float32: ['Float32', 4], float64: ['Float64', 8],
+  uint64: ['BigUint64', 8], int64: ['BigInt64', 8]
+};
+
+/**
+  Typed array constructors of the numeric types.
+  */
+var typedArrays = {
+  uint8: Uint8Array, int8: Int8Array,
+  uint16: Uint16Array, int16: Int16Array,
+  uint32: Uint32Array, int32: Int32Array,
+  float32: Float32Array, float64: Float64Array,
+  uint64: BigUint64Array, int64: BigInt64Array
+};
+
+var isCompiledFailure = function(e) {
+  return e instanceof RangeError || e instanceof StructParseError;
+};
+
+// Candidates are tried in order like in readType.
+var branchReader = function(R, ks) {
+  return function(dataView, idx, struct) {
+    var i = idx[0], j = idx[1], d = structStack.length, v;
+    for (var k=0; k<ks.length; k++) {
+      idx[0] = i;
+      idx[1] = j;
+      try {
+        v = R[ks[k]](dataView, idx, struct);
+      } catch(e) {
+        if (!isCompiledFailure(e)) {
+          throw e;
+        }
+        structStack.length = d;
+        v = null;
+      }
+      if (v != null) {
+        return v;
+      }
+    }
+    return null;
+  };
+};
+
+var switchReader = function(R, t, ks) {
+  return function(dataView, idx, struct) {
+    var c = switchCase(t, evaluate(t[1], struct));
+    return c === undefined ? null : R[ks.get(c)](dataView, idx, struct);
+  };
+};
+
+var switchWriter = function(W, t, ks) {
+  return function(dataView, idx, v, struct) {
+    var c = switchCase(t, evaluate(t[1], struct));
+    return c !== undefined && W[ks.get(c)](dataView, idx, v, struct);
+  };
+};
+
+// The type of a sized reads from a view that ends with it, see readSized.
+var sizedReader = function(R, t, k) {
+  return function(dataView, idx, struct) {
+    var end, v;
+    alignToByte(idx);
+    end = idx[0] + (typeof t[1] == 'string' ? evaluate(t[1], struct) : t[1]);
+    if (!(end >= idx[0] && end <= dataView.byteLength)) {
+      return null;
+    }
+    v = R[k](new DataView(dataView.buffer, dataView.byteOffset, end), idx, struct);
+    if (v != null) {
+      idx[0] = end;
+      idx[1] = 0;
+    }
+    return v;
+  };
+};
+
+var sizedWriter = function(W, t, k) {
+  return function(dataView, idx, v, struct) {
+    var start;
+    alignToByte(idx);
+    start = idx[0];
+    if (!W[k](dataView, idx, v, struct)) {
+      return false;
+    }
+    alignToByte(idx);
+    if (typeof t[1] == 'number') {
+      if (idx[0] - start > t[1]) {
+        return false;
+      }
+      for (; idx[0] < start + t[1]; idx[0]++) {
+        dataView.setUint8(idx[0], 0);
+      }
+    }
+    return true;
+  };
+};
+
+// The byte order E of the compiled code and of the readStruct fallbacks
+// is the one of the ['endian', order, type] while its type runs.
+var endianReader = function(env, t, k) {
+  return function(dataView, idx, struct) {
+    var le = byteOrder(t, struct), e = env.E;
+    if (le == null) {
+      return null;
+    }
+    env.E = readStruct.endianness = le;
+    try {
+      return env.R[k](dataView, idx, struct);
+    } finally {
+      env.E = readStruct.endianness = e;
+    }
+  };
+};
+
+var endianWriter = function(env, t, k) {
+  return function(dataView, idx, v, struct) {
+    var le = byteOrder(t, struct), e = env.E;
+    if (le == null) {
+      return false;
+    }
+    env.E = readStruct.endianness = le;
+    try {
+      return env.W[k](dataView, idx, v, struct);
+    } finally {
+      env.E = readStruct.endianness = e;
+    }
+  };
+};
+
+var arrayReader = function(R, k, length) {
+  return function(dataView, idx, struct) {
+    var n = length, d = structStack.length, v, e, i, j;
+    if (n == '*') {
+      v = [];
+      while (idx[0] < dataView.byteLength) {
+        i = idx[0];
+        j = idx[1];
+        try {
+          e = R[k](dataView, idx, struct);
+        } catch(ex) {
+          if (!isCompiledFailure(ex)) {
+            throw ex;
+          }
+          structStack.length = d;
+          e = null;
+        }
+        if (e == null) {
+          // Let readStruct decide if the failure ends the array or is an error.
+          if (structState.strict) {
+            return null;
+          }
+          idx[0] = i;
+          idx[1] = j;
+          break;
+        }
+        v.push(e);
+        if (idx[0] == i && idx[1] == j) {
+          break;
+        }
+      }
+      return v;
+    }
+    if (typeof n == 'string') {
+      n = evaluate(n, struct);
+    } else if (n < 0) {
+      n = dataView.byteLength - idx[0] + n;
+    }
+    v = new Array(n);
+    for (i=0; i<n; i++) {
+      v[i] = R[k](dataView, idx, struct);
+      if (v[i] == null) {
+        return null;
+      }
+    }
+    return v;
+  };
+};
+
+var branchWriter = function(W, ks) {
+  return function(dataView, idx, v, struct) {
+    var i = idx[0], j = idx[1], n = structState._pointers.length, d = structStack.length;
+    if (v == null) {
+      return false;
+    }
+    for (var k=0; k<ks.length; k++) {
+      idx[0] = i;
+      idx[1] = j;
+      structState._pointers.length = n;
+      try {
+        if (W[ks[k]](dataView, idx, v, struct)) {
+          return true;
+        }
+      } catch(e) {
+        if (!isCompiledFailure(e)) {
+          throw e;
+        }
+        structStack.length = d;
+      }
+    }
+    return false;
+  };
+};
+
+var arrayWriter = function(W, k) {
+  return function(dataView, idx, v, struct) {
+    if (v == null || v.length == null) {
+      return false;
+    }
+    for (var i=0; i<v.length; i++) {
+      if (!W[k](dataView, idx, v[i], struct)) {
+        return false;
+      }
+    }
+    return true;
+  };
+};
+
+/**
+  Calls visit(node) for every type in the definition tree, parents first.
+  Returning false from visit skips the children of the node.
+
+  A node is {definition, name, path, parent, depth, kind, type, le, size,
+  encoding, ref, derived, condition, window}, where kind is 'struct', 'array',
+  'branch', 'switch', 'pointer', 'number', 'bits', 'string', 'custom' for
+  function and {get, set} types or 'unknown', and type, le, size,
+  encoding, ref and derived are from the type string. le is the byte
+  order readStruct uses for the type. Array elements are named '[]',
+  branch alternatives '|0', '|1', ..., switch cases by their keys like
+  '|5' and '|default', and pointer targets '->', so a path looks like
+  'records[].shape|1.content.x' or 'ifd->next->entries'.
+  Registered type names have the kind of their definition and the name as
+  type, ['if', expr, type] has the kind of its type and expr as
+  condition, ['sized', length, type] the kind of its type and length
+  as window, ['endian', order, type] the kind of its type, with its
+  byte order as le of the types inside, or null if it depends on the
+  data, and ['cstruct', type, pack] the kind of its type. Padding
+  ['align', n, base, fill] fields have the kind 'align'. Pointer
+  targets and names that are already being walked above are not walked
+  again.
+
+  @param {Object} structDefinition The definition to walk.
+  @param {Function} visit Called with each node.
+  */
+walkStruct = function(structDefinition, visit) {
+  var walk = function(t, name, path, parent) {
+    var node = typeNode(t), le = structState.endianness;
+    node.name = name;
+    node.path = path;
+    node.parent = parent;
+    node.depth = parent ? parent.depth + 1 : 0;
+    if (visit(node) === false) {
+      return;
+    }
+    while (/^(conditional|sized|endian|cstruct)$/.test(definitionKind(t))) {
+      if (definitionKind(t) == 'endian') {
+        structState.endianness = staticByteOrder(t);
+      }
+      t = definitionKind(t) == 'cstruct' ? t[1] : t[2];
+    }
+    try {
+      children(t, path, node);
+    } finally {
+      structState.endianness = le;
+    }
+  };
+  var children = function(t, path, node) {
+    var k, a;
+    if (namedType(t) !== t) {
+      for (a=node.parent; a && a.definition !== t; a=a.parent);
+      if (a) {
         return;
       }
+      t = namedType(t);
+    }
+    if (node.kind == 'struct') {
+      eachField(t, function(n, f) {
+        walk(f, n, path ? path + (/->$/.test(path) ? '' : '.') + n : n, node);
+      });
+    } else if (node.kind == 'branch') {
+      for (k=0; k<t.length; k++) {
+        walk(t[k], '|' + k, path + '|' + k, node);
+      }
+    } else if (node.kind == 'switch') {
+      switchCases(t).forEach(function(c) {
+        walk(c[1], '|' + c[0], path + '|' + c[0], node);
+      });
+    } else if (node.kind == 'array') {
+      walk(arrayElement(t), '[]', path + '[]', node);
+    } else if (node.kind == 'pointer') {
+      for (a=node; a && a.definition !== t[2]; a=a.parent);
+      if (!a) {
+        walk(t[2], '->', path + '->', node);
+      }
+    }
+  };
+  walk(structDefinition, null, '', null);
+};
+
+// The byte order of an ['endian', order, type] if it doesn't depend on
+// the data, or null.
+var staticByteOrder = function(t) {
+  return typeof t[1] == 'string' && t[1] != 'le' && t[1] != 'be' ? null : byteOrder(t);
+};
+
+var typeNode = function(t) {
+  var p, node;
+  if (definitionKind(t) == 'conditional') {
+    node = typeNode(t[2]);
+    node.definition = t;
+    node.condition = node.condition == null ? t[1] : '(' + t[1] + ') && (' + node.condition + ')';
+    return node;
+  }
+  if (definitionKind(t) == 'sized') {
+    node = typeNode(t[2]);
+    node.definition = t;
+    node.window = t[1];
+    return node;
+  }
+  if (definitionKind(t) == 'endian') {
+    node = withOption('endianness', staticByteOrder(t), function() {
+      return typeNode(t[2]);
+    });
+    node.definition = t;
+    return node;
+  }
+  if (definitionKind(t) == 'cstruct') {
+    node = typeNode(t[1]);
+    node.definition = t;
+    return node;
+  }
+  if (namedType(t) !== t) {
+    node = typeNode(namedType(t));
+    node.definition = t;
+    if (typeof node.type != 'string') {
+      node.type = t;
+    }
+    return node;
+  }
+  p = parseType(t);
+  var kind = definitionKind(t);
+  node = {definition: t, kind: 'unknown', type: p.type,
+              le: p.le == null ? structState.endianness : p.le, size: p.size,
+              encoding: null, ref: p.ref, derived: p.derived, condition: null, window: null};
+  if (kind != 'type') {
+    node.kind = kind;
+  } else if (compiledAccessors.hasOwnProperty(p.type)) {
+    node.kind = 'number';
+  } else if (p.type == 'bits') {
+    node.kind = 'bits';
+    node.le = !!p.le;
+  } else if (p.type == 'string' || p.type == 'cstring') {
+    node.kind = 'string';
+    node.encoding = TextCodec.normalize(p.encoding);
+  } else if (p.type == 'u16string') {
+    node.kind = 'string';
+    node.encoding = node.le ? 'utf16le' : 'utf16be';
+  }
+  if (node.kind != 'number' && node.kind != 'bits') {
+    node.le = null;
+  }
+  return node;
+};
+
+/**
+  Returns the static byte size of a definition, or null if its size
+  depends on the data. See layoutOfStruct for the fields that make it
+  dynamic.
+  */
+sizeOfStruct = function(structDefinition) {
+  return layoutOfStruct(structDefinition).size;
+};
+
+/**
+  Lays out a definition without any data. Returns {size, fields, dynamic},
+  where size is the static byte size or null, dynamic lists the paths of
+  the fields whose size depends on the data, and fields has an entry
+
+    {path, kind, type, offset, bitOffset, size, bitSize, le, encoding}
+
+  for every field, nested struct fields included. Offsets are in bytes
+  from the start of the struct, with bitOffset the bit within the byte
+  for bitfields. Offsets after a dynamic field and sizes of dynamic
+  fields are null. Array elements are not listed, lay out the element
+  definition for those.
+
+  @param {Object} structDefinition The definition to lay out.
+  @return {Object} {size, fields, dynamic}
+  */
+layoutOfStruct = function(structDefinition) {
+  var fields = [], dynamic = [];
+  var end = layoutType(structDefinition, '', 0, true, fields, dynamic);
+  return {size: end == null ? null : Math.ceil(end / 8), fields: fields, dynamic: dynamic};
+};
+
+// Lays out t at bit position pos, which is relative to an unknown offset
+// if known is false. Returns the bit position after t, or null if the size
+// of t is dynamic. Conditional fields are laid out as if present, and
+// sized fields have the size of their window.
+var layoutType = function(t, path, pos, known, fields, dynamic) {
+  var node = typeNode(t), kind = node.kind;
+  var end = null, entry = null, name = null, n = dynamic.length;
+  var le = structState.endianness, pack = structState._pack;
+  while (/^(conditional|sized|endian|cstruct)$/.test(definitionKind(t))) {
+    if (definitionKind(t) == 'endian') {
+      structState.endianness = staticByteOrder(t);
+    } else if (definitionKind(t) == 'cstruct') {
+      structState._pack = t[2] || Infinity;
+    }
+    t = definitionKind(t) == 'cstruct' ? t[1] : t[2];
+  }
+  if ((typeof t == 'string' && node.kind != 'bits') || node.kind == 'pointer' ||
+      node.kind == 'align' || node.window != null ||
+      (node.kind == 'array' && typeNode(arrayElement(t)).kind != 'bits')) {
+    pos = Math.ceil(pos / 8) * 8;
+  }
+  if (path) {
+    entry = {path: path, kind: node.kind, type: node.type, offset: null, bitOffset: null,
+             size: null, bitSize: null, le: node.le, encoding: node.encoding};
+    if (typeof node.type != 'string') {
+      entry.type = node.kind;
+    }
+    if (known) {
+      entry.offset = Math.floor(pos / 8);
+      entry.bitOffset = pos % 8;
+    }
+    fields.push(entry);
+  }
+  if (namedType(t) !== t) {
+    name = t;
+    t = namedType(t);
+    if (layingOut.indexOf(name) > -1) {
+      kind = 'unknown'; // a type that contains itself
+    }
+    layingOut.push(name);
+  }
+  try {
+    end = layoutKind(t, kind, node, path, pos, known, fields, dynamic);
+  } finally {
+    structState.endianness = le;
+    structState._pack = pack;
+    if (name != null) {
+      layingOut.pop();
+    }
+  }
+  if (typeof node.window == 'number') {
+    // Fields inside can be dynamic, the window isn't.
+    if (dynamic.length > n && dynamic[dynamic.length-1] === path) {
+      dynamic.pop();
+    }
+    end = pos + 8 * node.window;
+  } else if (node.window != null) {
+    if (dynamic[dynamic.length-1] !== path) {
+      dynamic.push(path);
+    }
+    end = null;
+  }
+  if (entry && end != null) {
+    entry.bitSize = end - pos;
+    entry.size = Math.ceil(entry.bitSize / 8);
+  }
+  if (node.condition != null) {
+    dynamic.push(path);
+    return null;
+  }
+  return end;
+};
+
+// The registered names that layoutType is in.
+var layingOut = [];
+
+// The start positions of the structs that layoutType is in, null after a
+// dynamic field.
+var layoutStructs = [];
+
+// Lays out t by its kind, for layoutType.
+var layoutKind = function(t, kind, node, path, pos, known, fields, dynamic) {
+  var end = null, cur, k, n, e;
+  switch (kind) {
+    case 'number':
+      end = pos + 8 * Math.max(compiledAccessors[node.type][1], node.size);
+      break;
+    case 'bits':
+      end = pos + node.size;
+      break;
+    case 'string':
+      if (node.size) {
+        end = pos + (node.type == 'u16string' ? 16 : 8) * node.size;
+      } else if (node.type == 'string' && node.ref != null) {
+        end = pos + 8 * TextCodec.encode(node.ref, node.encoding).length;
+      } else {
+        dynamic.push(path);
+      }
+      break;
+    case 'struct':
+      cur = pos;
+      end = pos;
+      layoutStructs.push(pos);
+      try {
+        eachField(t, function(n, f) {
+          if (structState._pack && end != null && typeNode(f).kind != 'bits') {
+            cur = alignOffset(Math.ceil(cur / 8) * 8, 8 * alignmentOf(f, structState._pack), pos);
+          }
+          cur = layoutType(f, path ? path + '.' + n : n, cur, known, fields, dynamic);
+          if (cur == null) {
+            // Lay out the rest relative to the end of the dynamic field.
+            end = null;
+            known = false;
+            cur = 0;
+            layoutStructs[layoutStructs.length-1] = null;
+          }
+        });
+      } finally {
+        layoutStructs.pop();
+      }
+      if (end != null) {
+        end = structState._pack ?
+          alignOffset(Math.ceil(cur / 8) * 8, 8 * alignmentOf(t, structState._pack), pos) : cur;
+      }
+      break;
+    case 'align':
+      // Padding from the start of the definition or of the struct.
+      k = t[2] == null || t[2] == 'file' ? (known ? 0 : null) :
+          t[2] == 'struct' ? layoutStructs[layoutStructs.length-1] : null;
+      if (k == null) {
+        dynamic.push(path);
+      } else {
+        end = alignOffset(pos, 8 * t[1], k);
+      }
+      break;
+    case 'array':
+      n = arrayLength(t);
+      e = layoutType(arrayElement(t), path + '[]', 0, false, [], dynamic);
+      if (typeof n != 'number' || n < 0) {
+        dynamic.push(path);
+      } else if (e != null) {
+        end = pos + n * e;
+      }
+      break;
+    case 'branch':
+    case 'switch':
+      // Fixed size if all the alternatives have the same size.
+      cur = kind == 'branch' ? t.map(function(a, k) { return [k, a]; }) : switchCases(t);
+      for (k=0; k<cur.length; k++) {
+        e = layoutType(cur[k][1], path + '|' + cur[k][0], pos, false, [], []);
+        if (e == null || (k > 0 && e != end)) {
+          end = null;
+          break;
+        }
+        end = e;
+      }
+      if (end == null) {
+        dynamic.push(path);
+      }
+      break;
+    case 'pointer':
+      // Only the offset is in the struct.
+      end = layoutType(t[1], '', pos, known, [], dynamic);
+      break;
+    default:
+      dynamic.push(path);
+  }
+  return end;
+};
+
+/**
+  Converts a definition to the DataStream syntax, with structs as
+  ['name', type, ...] pair lists and arrays as ['[]', type, length].
+  Type strings are kept as they are, so types without an le or be suffix
+  still get the byte order of the reader: big-endian for readStruct and
+  ds.endianness for a DataStream.
+
+  @param {Object} structDefinition The definition to convert.
+  @return {Array} The definition in pair-list syntax.
+  */
+structToPairs = function(structDefinition) {
+  var r;
+  switch (definitionKind(structDefinition)) {
+    case 'struct':
+      r = [];
+      eachField(structDefinition, function(n, t) {
+        r.push(n, structToPairs(t));
+      });
+      return r;
+    case 'array':
+      return ['[]', structToPairs(arrayElement(structDefinition)), arrayLength(structDefinition)];
+    case 'pointer':
+      return [structDefinition[0], structDefinition[1], structToPairs(structDefinition[2])]
+        .concat(structDefinition.slice(3));
+    case 'conditional':
+      return ['if', structDefinition[1], structToPairs(structDefinition[2])];
+    case 'sized':
+    case 'endian':
+      return [structDefinition[0], structDefinition[1], structToPairs(structDefinition[2])];
+    case 'cstruct':
+      return ['cstruct', structToPairs(structDefinition[1])].concat(structDefinition.slice(2));
+    case 'switch':
+      return convertSwitch(structDefinition, structToPairs);
+    case 'branch':
+      return structDefinition.map(structToPairs);
+  }
+  return structDefinition;
+};
+
+/**
+  Converts a definition to the object syntax, with structs as {name: type}
+  objects and arrays as [type, length]. Arrays whose element would read as
+  a field name stay ['[]', type, length]. Throws on duplicate field names
+  and on integer-like names, which objects would reorder.
+
+  @param {Object} structDefinition The definition to convert.
+  @return {Object} The definition in object syntax.
+  */
+structToObject = function(structDefinition) {
+  var r;
+  switch (definitionKind(structDefinition)) {
+    case 'struct':
+      r = {};
+      eachField(structDefinition, function(n, t) {
+        if (Object.prototype.hasOwnProperty.call(r, n)) {
+          throw "duplicate field name '" + n + "'";
+        } else if (/^(0|[1-9]\d*)$/.test(n)) {
+          throw "field name '" + n + "' would be reordered in an object";
+        }
+        r[n] = structToObject(t);
+      });
+      return r;
+    case 'array':
+      r = [structToObject(arrayElement(structDefinition)), arrayLength(structDefinition)];
+      return definitionKind(r) == 'array' ? r : ['[]', r[0], r[1]];
+    case 'pointer':
+      return [structDefinition[0], structDefinition[1], structToObject(structDefinition[2])]
+        .concat(structDefinition.slice(3));
+    case 'conditional':
+      return ['if', structDefinition[1], structToObject(structDefinition[2])];
+    case 'sized':
+    case 'endian':
+      return [structDefinition[0], structDefinition[1], structToObject(structDefinition[2])];
+    case 'cstruct':
+      return ['cstruct', structToObject(structDefinition[1])].concat(structDefinition.slice(2));
+    case 'switch':
+      return convertSwitch(structDefinition, structToObject);
+    case 'branch':
+      return structDefinition.map(structToObject);
+  }
+  return structDefinition;
+};
+
+var convertSwitch = function(t, convert) {
+  var cases = {};
+  for (var k in t[2]) {
+    cases[k] = convert(t[2][k]);
+  }
+  return t.length > 3 ? ['switch', t[1], cases, convert(t[3])] : ['switch', t[1], cases];
+};
+
+var bytesAt = function(dataView, offset, length) {
+  if (offset + length > dataView.byteLength) {
+    throw new RangeError("Offset is outside the bounds of the DataView");
+  }
+  return new Uint8Array(dataView.buffer, dataView.byteOffset + offset, length);
+};
+
+/**
+  Reads an n-bit unsigned integer starting at bit idx[1] of byte idx[0].
+  Bits are read most significant first, or least significant first if
+  lsbFirst is set. Consecutive bitfields share bytes, the next non-bits
+  field starts from the next whole byte.
+  */
+var readBits = function(dataView, idx, n, lsbFirst) {
+  var v = 0, b, c;
+  for (var i=0; i<n; i++) {
+    b = idx[1] || 0;
+    c = dataView.getUint8(idx[0]);
+    if (lsbFirst) {
+      v += ((c >> b) & 1) * Math.pow(2, i);
+    } else {
+      v = v * 2 + ((c >> (7-b)) & 1);
+    }
+    if (b == 7) {
+      idx[0]++;
+      idx[1] = 0;
+    } else {
+      idx[1] = b + 1;
+    }
+  }
+  return v;
+};
+
+var writeBits = function(dataView, idx, v, n, lsbFirst) {
+  var b, c, bit, mask;
+  for (var i=0; i<n; i++) {
+    b = idx[1] || 0;
+    c = dataView.getUint8(idx[0]);
+    bit = Math.floor(v / Math.pow(2, lsbFirst ? i : n-1-i)) % 2;
+    mask = lsbFirst ? (1 << b) : (0x80 >> b);
+    dataView.setUint8(idx[0], bit ? (c | mask) : (c & ~mask));
+    if (b == 7) {
+      idx[0]++;
+      idx[1] = 0;
+    } else {
+      idx[1] = b + 1;
+    }
+  }
+};
+
+/**
+  Skips the rest of a partially read byte.
+  */
+var alignToByte = function(idx) {
+  if (idx[1]) {
+    idx[0]++;
+    idx[1] = 0;
   }
 };
 
 ArrayBuffer.littleEndian = new Int8Array(new Int16Array([1]).buffer)[0] > 0;
 
-var arrayToNative = function(array, arrayIsLittleEndian) {
+arrayToNative = function(array, arrayIsLittleEndian) {
   if (!!arrayIsLittleEndian == ArrayBuffer.littleEndian) {
     return array;
   } else {
@@ -339,7 +2914,7 @@ var arrayToNative = function(array, arrayIsLittleEndian) {
   }
 };
 
-var nativeToEndian = function(array, littleEndian) {
+nativeToEndian = function(array, littleEndian) {
   if (ArrayBuffer.littleEndian == !!littleEndian) {
     return array;
   } else {
@@ -347,7 +2922,7 @@ var nativeToEndian = function(array, littleEndian) {
   }
 };
 
-var flipArrayEndianness = function(array) {
+flipArrayEndianness = function(array) {
   var u8 = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
   for (var i=0; i<array.byteLength; i+=array.BYTES_PER_ELEMENT) {
     for (var j=i+array.BYTES_PER_ELEMENT-1, k=i; j>k; j--, k++) {
@@ -357,4 +2932,39 @@ var flipArrayEndianness = function(array) {
     }
   }
   return array;
-};
\ No newline at end of file
+};
+
+/**
+  Returns f() with state, readStruct or a DataStream, as the running reader
+  or writer. Puts back the state that a throw from f leaves behind.
+  */
+var run = function(state, f) {
+  var previous = structState, depth = state._depth, structStart = state._structStart;
+  var n = structStack.length;
+  structState = state;
+  try {
+    return f();
+  } finally {
+    state._depth = depth;
+    state._structStart = structStart;
+    structStack.length = n;
+    structState = previous;
+  }
+};
+
+/**
+  The engine functions that DataStream.js reads and writes with. They're
+  internal and may change.
+  */
+StructDef = {
+  _engine: {
+    run: run,
+    readOutermost: readOutermost,
+    readType: readType,
+    writeType: writeType,
+    writeFields: writeFields,
+    writeWithPointers: writeWithPointers
+  }
+};
+
+})();
@@ -29,16 +29,878 @@ var def = {
     greet: 'cstring' };
 
 var obj = readStruct(dv, [0], def);
-var u2 = new Uint8Array(u.length);
-var dv2 = new DataView(u2.buffer);
-writeStruct(dv2, [0], def, obj);
+var u2 = new Uint8Array(encodeStruct(def, obj));
 
-var success = true;
+var success = u2.length == u.length;
 for (var i=0; i<u2.length; i++) {
   if (u[i] != u2[i]) {
     console.log('roundtrip failure at', i, u[i] + ' != ' + u2[i]);
     success = false;
   }
 }
-console.log('success: ', success);
+var check = function(name, ok) {
+  if (!ok) {
+    console.log(name + ' failure');
+    success = false;
+  }
+};
+
+var u64 = new Uint8Array(40);
+var dv64 = new DataView(u64.buffer);
+dv64.setBigUint64(0, 0xFFFFFFFFFFFFFFF0n);
+dv64.setBigInt64(8, -2n, true);
+dv64.setBigUint64(16, 0x123456789n, true);
+dv64.setBigUint64(24, 1n, true);
+dv64.setBigUint64(32, 2n, true);
+var def64 = {
+  big: 'uint64',
+  neg: 'int64le',
+  offset: 'uint64le=0x123456789',
+  values: ['uint64le', 2]
+};
+var obj64 = readStruct(dv64, [0], def64);
+check('uint64', obj64.big === 0xFFFFFFFFFFFFFFF0n);
+check('int64le', obj64.neg === -2n);
+check('uint64le=const', obj64.offset === 0x123456789n);
+check('uint64le array', obj64.values instanceof BigUint64Array && obj64.values[1] === 2n);
+check('uint64=const mismatch', readStruct(dv64, [0], {big: 'uint64=1'}) == null);
+var idx64 = [0];
+readType(dv64, idx64, 'uint64:16', {});
+check('uint64 padding', idx64[0] == 16);
+
+readStruct.int64AsNumber = true;
+obj64 = readStruct(dv64, [0], def64);
+check('int64AsNumber unsafe', obj64.big === 0xFFFFFFFFFFFFFFF0n);
+check('int64AsNumber safe', obj64.neg === -2 && obj64.offset === 0x123456789);
+readStruct.int64AsNumber = false;
+
+var u64b = new Uint8Array(u64.length);
+writeStruct(new DataView(u64b.buffer), [0],
+  {big: 'uint64', neg: 'int64le', offset: 'uint64le', values: ['uint64le', 2]}, obj64);
+for (var i=0; i<u64.length; i++) {
+  check('64-bit roundtrip at ' + i, u64[i] == u64b[i]);
+}
 
+// ADTS sync word and flags (MSB first), DOS time word (LSB first)
+var ub = new Uint8Array([0xFF, 0xF1, 0x7B, 0x5C, 0x80, 42]);
+var bitsDef = {
+  sync: 'bits:12',
+  id: 'bits:1',
+  layer: 'bits:2',
+  protectionAbsent: 'bits:1',
+  seconds: 'bitsle:5',
+  minutes: 'bitsle:6',
+  hours: 'bitsle:5',
+  flag: 'bits:1',
+  tail: 'uint8'
+};
+var objb = readStruct(new DataView(ub.buffer), [0], bitsDef);
+check('bits', objb.sync == 0xFFF && objb.id == 0 && objb.layer == 0 &&
+  objb.protectionAbsent == 1);
+check('bitsle', objb.seconds == 27 && objb.minutes == 35 && objb.hours == 11);
+check('bits then byte', objb.flag == 1 && objb.tail == 42);
+check('bits=const', readStruct(new DataView(ub.buffer), [0], {sync: 'bits:12=0xFFE'}) == null);
+var ub2 = new Uint8Array(ub.length);
+var idxb = [0];
+writeStruct(new DataView(ub2.buffer), idxb, bitsDef, objb);
+check('bits write length', idxb[0] == ub.length);
+for (var i=0; i<ub.length; i++) {
+  check('bits roundtrip at ' + i, ub[i] == ub2[i]);
+}
+
+var ut = new Uint8Array(64);
+var dvt = new DataView(ut.buffer);
+var textDef = {
+  title: 'cstring:12@utf8',
+  artist: 'string:6@latin1',
+  name: 'cstring@utf16be',
+  emoji: 'cstring:7@utf8'
+};
+var idxt = [0];
+writeStruct(dvt, idxt, textDef, {
+  title: 'Pää ja 世界',
+  artist: 'Motörhead',
+  name: 'a\ud83d\ude00',
+  emoji: '\ud83d\ude00\ud83d\ude00'
+});
+check('utf8 write size', idxt[0] == 12 + 6 + 8 + 7);
+check('utf8 no split', ut[11] == 0x96 && ut[12] == 0x4D);
+var objt = readStruct(dvt, [0], textDef);
+check('utf8 truncated', objt.title == 'Pää ja 世');
+check('latin1', objt.artist == 'Motörh');
+check('utf16be surrogates', objt.name == 'a\ud83d\ude00');
+check('utf8 4-byte truncated', objt.emoji == '\ud83d\ude00');
+check('utf8 =const', readStruct(dvt, [0], {title: 'cstring:12@utf8=Pää ja 世'}) != null);
+
+// Strict mode errors
+var recDef = {
+  number: 'int32',
+  shape: [
+    { type: 'int32le=1', content: {x: 'float64le', y: 'float64le'} },
+    { type: 'int32le=3', count: 'int32le', points: ['float64le', 'count'] }
+  ]
+};
+var fileDef = {
+  fileCode: 'int32=0x0000270a',
+  records: [recDef, '*']
+};
+var ue = new Uint8Array(4 + 3*24);
+var dve = new DataView(ue.buffer);
+dve.setInt32(0, 0x270a);
+for (var i=0; i<3; i++) {
+  dve.setInt32(4 + i*24, i);
+  dve.setInt32(8 + i*24, 1, true);
+}
+check('strict ok', readStruct(dve, [0], fileDef).records.length == 3);
+dve.setInt32(8 + 2*24, 7, true);
+check('non-strict stops at bad record', readStruct(dve, [0], fileDef).records.length == 2);
+readStruct.strict = true;
+var err = null;
+try {
+  readStruct(dve, [0], fileDef);
+} catch(e) {
+  err = e;
+}
+readStruct.strict = false;
+check('strict throws', err instanceof StructParseError);
+check('error path', err && err.path == 'records[2].shape');
+check('error offset', err && err.offset == 8 + 2*24);
+check('alternatives', err && err.alternatives.length == 2 &&
+  err.alternatives[0].path == 'type' && err.alternatives[0].expected == 1 &&
+  err.alternatives[0].actual == 7 && err.alternatives[1].expected == 3);
+check('alternatives message', err &&
+  /records\[2\]\.shape: no alternative matched/.test(err.message) &&
+  /\[1\] type: constant mismatch at offset 56 \(int32le=3\), expected 3, got 7/
+    .test(err.message));
+
+check('lastError', readStruct(dve, [0], {fileCode: 'int32!=0x270a'}) == null &&
+  readStruct.lastError.path == 'fileCode' && /must not be/.test(readStruct.lastError.message));
+check('end of data', readStruct(dve, [dve.byteLength - 4], {a: 'int32', b: 'float64'}) == null &&
+  readStruct.lastError.path == 'b' && readStruct.lastError.reason == 'unexpected end of data');
+check('end of data path',
+  readStruct(dve, [dve.byteLength - 6],
+    {a: 'int32', s: {n: 'uint8', t: ['uint16', 2]}}) == null &&
+  readStruct.lastError.path == 's.t' && readStruct.lastError.reason == 'unexpected end of data');
+var thrown = null;
+try {
+  readStruct(dve, [0], {x: 'int32', s: {b: ['uint8', 'nosuch(1)']}});
+} catch(e) {
+  thrown = e;
+}
+check('state after a throw', /nosuch/.test(thrown) &&
+  readStruct(dve, [0], {a: 'int32', s: {b: ['uint8', '_root.a & 1']}}).s.b.length ==
+    (dve.getInt32(0) & 1));
+
+// writeStruct round trips everything readStruct reads
+var checkRoundtrip = function(name, u, def) {
+  var obj = readStruct(new DataView(u.buffer, u.byteOffset, u.length), [0], def);
+  var u2 = new Uint8Array(u.length);
+  var idx = [0];
+  writeStruct(new DataView(u2.buffer), idx, def, obj);
+  check(name + ' roundtrip length', idx[0] == u.length);
+  for (var i=0; i<u.length; i++) {
+    if (u[i] != u2[i]) {
+      check(name + ' roundtrip at ' + i + ': ' + u[i] + ' != ' + u2[i], false);
+      break;
+    }
+  }
+  return obj;
+};
+
+var xyDef = {x: 'float64le', y: 'float64le'};
+var polyDef = {
+  minX: 'float64le', minY: 'float64le', maxX: 'float64le', maxY: 'float64le',
+  partCount: 'int32le',
+  pointCount: 'int32le',
+  parts: ['int32le', 'partCount'],
+  points: ['float64le', 'pointCount*2']
+};
+var shpRecordDef = {
+  number: 'int32',
+  length: 'int32',
+  shape: [
+    { number: 'int32le=0' },
+    { number: 'int32le=1', content: xyDef },
+    { number: 'int32le=5', content: polyDef },
+    ['uint8', 'length*2']
+  ]
+};
+var shpTestDef = {
+  fileCode: 'int32=0x0000270a',
+  unused: ['int32=0', 5],
+  wordLength: 'int32',
+  version: 'int32le:8',
+  records: [shpRecordDef, '*']
+};
+var shpw = new DataView(new ArrayBuffer(200));
+var shpRecords = [
+  {number: 1, length: 2, shape: {number: 0}},
+  {number: 2, length: 10, shape: {number: 1, content: {x: 1.5, y: -2}}},
+  {number: 3, length: 2, shape: new Uint8Array([9, 0, 0, 0])},
+  {number: 4, length: 40, shape: {number: 5, content: {
+    minX: 0, minY: 0, maxX: 1, maxY: 1, partCount: 1, pointCount: 2,
+    parts: [0], points: [0, 0, 1, 1]}}}
+];
+var shpIdx = [0];
+writeStruct(shpw, shpIdx, shpTestDef,
+  {unused: [0, 0, 0, 0, 0], wordLength: 0, version: 1000, records: shpRecords});
+var shpObj = checkRoundtrip('shp', new Uint8Array(shpw.buffer, 0, shpIdx[0]), shpTestDef);
+check('shp const filled in', shpObj.fileCode == 0x270a);
+check('shp records', shpObj.records.length == 4 && shpObj.records[1].shape.content.y == -2 &&
+  shpObj.records[2].shape.length == 4 && shpObj.records[3].shape.content.points[3] == 1);
+
+var id3Def = {
+  tag: 'cstring:3=TAG',
+  title: 'cstring:30',
+  artist: 'cstring:30',
+  album: 'cstring:30',
+  year: 'cstring:4'
+};
+var id3w = new Uint8Array(97);
+writeStruct(new DataView(id3w.buffer), [0], id3Def,
+  {title: 'Title', artist: 'Artist', album: 'Album', year: '2012'});
+var id3Obj = checkRoundtrip('id3', id3w, id3Def);
+check('id3', id3Obj.tag == 'TAG' && id3Obj.year == '2012');
+var padW = new Uint8Array(12).fill(0xEE);
+writeStruct(new DataView(padW.buffer), [0], {a: 'uint8:3', b: 'int16le:4', c: ['uint32:5', 1]},
+  {a: 1, b: -2, c: [3]});
+check('write zeroes padding', padW.join() == '1,0,0,254,255,0,0,0,0,0,3,0');
+
+var writeErr = null;
+try {
+  writeStruct(shpw, [0], shpTestDef,
+    {unused: [0, 0, 1, 0, 0], wordLength: 0, version: 1, records: []});
+} catch(e) {
+  writeErr = e;
+}
+check('write const mismatch', writeErr instanceof StructParseError &&
+  writeErr.path == 'unused[2]' && writeErr.expected == 0 && writeErr.actual == 1);
+writeErr = null;
+try {
+  writeStruct(shpw, [0], shpTestDef, {unused: [0, 0, 0, 0, 0], version: 1, records: []});
+} catch(e) {
+  writeErr = e;
+}
+check('write missing value', writeErr instanceof StructParseError &&
+  writeErr.path == 'wordLength');
+writeErr = null;
+try {
+  writeStruct(shpw, [0], shpRecordDef, {number: 1, length: 2, shape: {number: 3}});
+} catch(e) {
+  writeErr = e;
+}
+check('write no alternative', writeErr instanceof StructParseError && writeErr.path == 'shape' &&
+  writeErr.alternatives.length == 4);
+
+// encodeStruct allocates exactly what writeStruct writes
+check('measure shp', measureStruct(shpTestDef,
+  {unused: [0, 0, 0, 0, 0], wordLength: 0, version: 1000, records: shpRecords}) == shpIdx[0]);
+check('measure id3',
+  measureStruct(id3Def, {title: 'T', artist: 'A', album: 'A', year: '1'}) == 97);
+check('measure text', measureStruct({a: 'cstring@utf8', b: 'string@utf16le', c: ['uint8', '*']},
+  {a: 'é', b: 'ab', c: [1, 2]}) == 9);
+check('measure bits', measureStruct({a: 'bits:3', b: 'bits:6'}, {a: 1, b: 2}) == 2);
+var shpEnc = new Uint8Array(encodeStruct(shpRecordDef, shpRecords[3]));
+check('encode', shpEnc.length == 88 &&
+  readStruct(new DataView(shpEnc.buffer), [0], shpRecordDef).shape.content.pointCount == 2);
+
+// derived fields are computed on write
+var polyDerivedDef = {
+  partCount: 'int32le<-parts.length',
+  pointCount: 'int32le<-points.length/2',
+  parts: ['int32le', 'partCount'],
+  points: ['float64le', 'pointCount*2']
+};
+var shpDerivedDef = {
+  fileCode: 'int32=0x0000270a',
+  wordLength: 'int32<-sizeof()/2',
+  flags: 'bits:4<-records.length',
+  records: [{
+    number: 'int32',
+    length: 'int32<-sizeof(shape)/2',
+    shape: polyDerivedDef
+  }, '*']
+};
+var shpDerived = new Uint8Array(encodeStruct(shpDerivedDef, {wordLength: 999, records: [
+  {number: 1, length: 0, shape: {partCount: 7, parts: [0], points: [0, 0, 1, 1, 2, 2]}},
+  {number: 2, shape: {parts: [0, 1], points: [0, 0]}}
+]}));
+var shpDerivedObj = checkRoundtrip('derived', shpDerived, shpDerivedDef);
+check('derived', shpDerived.length == 9 + 68 + 40 &&
+  shpDerivedObj.wordLength == 117/2 >> 0 && shpDerivedObj.flags == 2 &&
+  shpDerivedObj.records[0].length == 30 && shpDerivedObj.records[0].shape.partCount == 1 &&
+  shpDerivedObj.records[0].shape.pointCount == 3 && shpDerivedObj.records[1].length == 16 &&
+  shpDerivedObj.records[1].shape.points.length == 2);
+
+// compiled readers and writers give the same results as the interpreters
+var sameJSON = function(a, b) {
+  var f = function(k, v) { return typeof v == 'bigint' ? v + 'n' : v; };
+  return JSON.stringify(a, f) == JSON.stringify(b, f);
+};
+var checkCompiled = function(name, u, def) {
+  var c = compileStruct(def);
+  var dv = new DataView(u.buffer, u.byteOffset, u.length);
+  var idx = [0], cidx = [0];
+  var obj = readStruct(dv, idx, def), cobj = c.read(dv, cidx);
+  check(name + ' compiled read', sameJSON(obj, cobj) && idx[0] == cidx[0] && idx[1] == cidx[1]);
+  if (obj) {
+    // Writes go to buffers that aren't zeroed, to check padding.
+    var u2 = new Uint8Array(u.length).fill(0xEE), cu2 = new Uint8Array(u.length).fill(0xEE);
+    idx = [0];
+    cidx = [0];
+    writeStruct(new DataView(u2.buffer), idx, def, obj);
+    c.write(new DataView(cu2.buffer), cidx, obj);
+    check(name + ' compiled write', sameJSON(u2, cu2) && idx[0] == cidx[0]);
+  } else {
+    var err = readStruct.lastError;
+    c.read(dv, [0]);
+    check(name + ' compiled error', readStruct.lastError.message == err.message);
+  }
+};
+checkCompiled('first', u, def);
+checkCompiled('int64', u64, def64);
+checkCompiled('bits', ub, bitsDef);
+checkCompiled('text', ut, textDef);
+checkCompiled('shp', new Uint8Array(shpw.buffer, 0, shpIdx[0]), shpTestDef);
+checkCompiled('derived', shpDerived, shpDerivedDef);
+checkCompiled('id3', id3w, id3Def);
+checkCompiled('bad record', ue, fileDef);
+checkCompiled('end of data', ue.subarray(0, 60), {fileCode: 'int32', records: [recDef, 3]});
+var paddedDef = {a: 'uint8:4', b: 'int16le:3', c: ['uint16:3', 2]};
+checkCompiled('padded', new Uint8Array([1, 9, 9, 9, 2, 0, 9, 0, 3, 9, 0, 4, 9]), paddedDef);
+checkCompiled('padded end of data', new Uint8Array([1, 2]), {a: 'uint8:4'});
+checkCompiled('padded end of data in run', new Uint8Array([1, 0, 0, 0, 2, 0]), paddedDef);
+var compiledFile = compileStruct(fileDef);
+readStruct.strict = true;
+err = null;
+try {
+  compiledFile.read(dve, [0]);
+} catch(e) {
+  err = e;
+}
+readStruct.strict = false;
+check('compiled strict', err instanceof StructParseError && err.path == 'records[2].shape');
+err = null;
+try {
+  compileStruct(shpTestDef).write(shpw, [0],
+    {unused: [0, 0, 1, 0, 0], wordLength: 0, version: 1, records: []});
+} catch(e) {
+  err = e;
+}
+check('compiled write error', err instanceof StructParseError && err.path == 'unused[2]');
+
+// static layout
+var id3v1Def = {
+  tag: 'cstring:3=TAG',
+  title: 'cstring:30',
+  artist: 'cstring:30',
+  album: 'cstring:30',
+  year: 'cstring:4',
+  comment: 'cstring:30',
+  genre: 'uint8'
+};
+check('sizeOf id3v1', sizeOfStruct(id3v1Def) == 128);
+check('sizeOf dynamic', sizeOfStruct(shpTestDef) == null && sizeOfStruct(textDef) == null);
+var layout = layoutOfStruct({
+  magic: 'uint32le',
+  flags: {sync: 'bits:12', id: 'bits:1'},
+  version: 'uint16:4',
+  xy: [xyDef, 2],
+  name: 'cstring',
+  shape: recDef.shape,
+  crc: 'uint32'
+});
+var field = function(path) {
+  return layout.fields.filter(function(f) { return f.path == path; })[0];
+};
+check('layout size', layout.size == null && layout.dynamic.join() == 'name,shape');
+check('layout offsets', field('magic').offset == 0 && field('magic').le &&
+  field('flags.id').offset == 5 && field('flags.id').bitOffset == 4 &&
+  field('flags.id').bitSize == 1 &&
+  field('flags').size == 2 && field('version').offset == 6 && field('version').size == 4 &&
+  field('xy').offset == 10 && field('xy').size == 32 && field('xy').type == 'array' &&
+  field('name').offset == 42 && field('name').size == null && field('name').encoding == 'ascii' &&
+  field('shape').offset == null && field('crc').offset == null && field('crc').size == 4 &&
+  !field('crc').le && layout.fields.length == 9);
+var paths = [];
+walkStruct(shpRecordDef, function(node) {
+  paths.push(node.path + ':' + node.kind);
+  return node.depth < 3;
+});
+check('walkStruct', paths.join() == ':struct,number:number,length:number,shape:branch,' +
+  'shape|0:struct,shape|0.number:number,shape|1:struct,shape|1.number:number,' +
+  'shape|1.content:struct,' +
+  'shape|2:struct,shape|2.number:number,shape|2.content:struct,shape|3:array,shape|3[]:number');
+
+// object definitions and ['name', type] pair lists share one engine
+var jpegDef = {
+  start: 'uint16=0xFFD8',
+  markers: [[
+    {tag: 'uint16=0xFFE1', length: 'uint16<-sizeof()-2', exif: 'string=Exif\x00\x00',
+      data: ['uint8', 'length-8']},
+    {tag: 'uint16!=0xFFDA', length: 'uint16<-sizeof()-2', data: ['uint8', 'length-2']}
+  ], '*'],
+  image: {tag: 'uint16=0xFFDA', data: ['uint8', -2]},
+  end: 'uint16=0xFFD9'
+};
+var jpegPairs = structToPairs(jpegDef);
+check('structToPairs',
+  JSON.stringify(jpegPairs.slice(0, 3)) ==
+    JSON.stringify(['start', 'uint16=0xFFD8', 'markers']) &&
+  jpegPairs[3][0] == '[]' && jpegPairs[3][1][1][5][0] == '[]' && jpegPairs[3][2] == '*');
+check('structToObject', JSON.stringify(structToObject(jpegPairs)) == JSON.stringify(jpegDef));
+var jpegBuf = encodeStruct(jpegPairs, {
+  markers: [{exif: 'Exif\x00\x00', data: [1, 2]}, {tag: 0xFFE0, data: [3]}],
+  image: {data: [4, 5, 6]}
+});
+var jpegObj = readStruct(new DataView(jpegBuf), [0], jpegDef);
+check('pair list write, object read', jpegBuf.byteLength == 2 + 12 + 5 + 5 + 2 &&
+  jpegObj.markers[0].length == 10 && jpegObj.markers[1].tag == 0xFFE0 &&
+  jpegObj.image.data.length == 3);
+check('pair list compiled',
+  sameJSON(compileStruct(jpegPairs).read(new DataView(jpegBuf), [0]), jpegObj));
+check('pair list layout', sizeOfStruct(['a', 'uint16', 'b', ['[]', 'uint8', 3]]) == 5);
+var convertErr = null;
+try {
+  structToObject(['a', 'uint8', 'a', 'uint8']);
+} catch(e) {
+  convertErr = e;
+}
+check('structToObject duplicate', /duplicate/.test(convertErr));
+check('structToObject keeps []', structToObject(['[]', 'name', 2])[0] == '[]');
+
+var ud = new Uint8Array([0, 1, 0, 2, 0, 0x61, 0, 0x62, 3, 0, 0]);
+var dialectDef = ['be', 'uint16be', 'le', 'uint16le', 'text', 'u16string:2',
+  'rest', ['[]', 'uint8', '*']];
+var objd = readStruct(new DataView(ud.buffer), [0], dialectDef);
+check('be and le', objd.be == 1 && objd.le == 512);
+check('u16string', objd.text == 'ab');
+check('numeric * array', objd.rest instanceof Uint8Array && objd.rest.length == 3);
+readStruct.endianness = true;
+check('readStruct.endianness', readStruct(new DataView(ud.buffer), [0], {a: 'uint16'}).a == 256 &&
+  readStruct(new DataView(ud.buffer), [0], {a: 'u16string:1'}).a == '\u0100');
+readStruct.endianness = false;
+check('string to end of data',
+  readStruct(new DataView(ud.buffer), [8], ['a', 'string']).a == '\x03\x00\x00');
+
+// pointers
+var ifdDef = ['count', 'uint16<-entries.length',
+  'entries', ['[]', {tag: 'uint16', value: 'uint32'}, 'count']];
+ifdDef.push('next', ['uint32=0', ['->', 'uint32', ifdDef]]); // 0 ends the chain
+var tiffDef = {order: 'string=MM', magic: 'uint16=42', ifd: ['->', 'uint32', ifdDef]};
+var tiff = {ifd: {
+  entries: [{tag: 256, value: 640}],
+  next: {entries: [{tag: 1, value: 2}, {tag: 3, value: 4}], next: 0}
+}};
+var tiffBuf = encodeStruct(tiffDef, tiff);
+var tiffU8 = new Uint8Array(tiffBuf);
+check('pointer write', tiffBuf.byteLength == 8 + 12 + 18 && tiffU8[7] == 8 && tiffU8[19] == 20);
+var tiffObj = readStruct(new DataView(tiffBuf), [0], tiffDef);
+check('pointer read', tiffObj.ifd.entries[0].value == 640 &&
+  tiffObj.ifd.next.entries[1].tag == 3 && tiffObj.ifd.next.next === 0);
+checkCompiled('pointer', tiffU8, tiffDef);
+check('pointer layout', sizeOfStruct(tiffDef) == 8);
+var pointerPaths = [];
+walkStruct(tiffDef, function(node) { pointerPaths.push(node.path); });
+check('pointer walk', pointerPaths.indexOf('ifd->entries[].tag') > -1 &&
+  pointerPaths.indexOf('ifd->next|1->count') == -1);
+
+var baseDef = {
+  pad: 'uint8',
+  head: {
+    size: 'uint8',
+    a: ['->', 'uint8', 'cstring', 'struct'],
+    b: ['->', 'int8', 'uint8', 'self'],
+    c: ['->', 'uint8', 'uint8', 'size']
+  }
+};
+var basedU8 = new Uint8Array([0, 4, 4, 0xFF, 1, 0x61, 0]);
+var based = readStruct(new DataView(basedU8.buffer), [0], baseDef);
+check('pointer bases', based.head.a == 'a' && based.head.b == 4 && based.head.c == 0x61);
+var basedBuf = encodeStruct(baseDef, based);
+check('pointer bases write', sameJSON(readStruct(new DataView(basedBuf), [0], baseDef), based));
+
+var lazyDef = ['n', 'uint8', 'p', ['~>', 'uint8', 'cstring']];
+var lazy = readStruct(new DataView(new Uint8Array([7, 3, 0, 0x62, 0]).buffer), [0], lazyDef);
+check('lazy pointer', typeof lazy.p == 'function' && lazy.p.offset == 3 && lazy.p() == 'b');
+check('lazy pointer write', new Uint8Array(encodeStruct(lazyDef, lazy)).join() == '7,2,98,0');
+var loopDef = ['v', 'uint8'];
+loopDef.push('p', ['->', 'uint8', loopDef]);
+check('pointer cycle',
+  readStruct(new DataView(new Uint8Array([0, 0]).buffer), [0], loopDef) == null &&
+  /pointer cycle/.test(readStruct.lastError.message));
+var sharedDef = {a: ['->', 'uint8', {x: 'uint8'}], b: ['->', 'uint8', {x: 'uint8'}]};
+var shared = {x: 5};
+check('shared pointer targets', measureStruct(sharedDef, {a: shared, b: shared}) == 4 &&
+  measureStruct({a: sharedDef.a, b: sharedDef.a}, {a: shared, b: shared}) == 3);
+
+// registered definitions
+defineStruct('node',
+  {value: 'uint8', count: 'uint8<-children.length', children: ['node', 'count']});
+var tree = {value: 1, children: [
+  {value: 2, children: []},
+  {value: 3, children: [{value: 4, children: []}]}
+]};
+var treeU8 = new Uint8Array(encodeStruct('node', tree));
+check('recursive write', treeU8.join() == '1,2,2,0,3,1,4,0');
+var treeObj = readStruct(new DataView(treeU8.buffer), [0], {root: 'node'});
+check('recursive read',
+  sameJSON(treeObj.root.children[1].children[0], {value: 4, count: 0, children: []}));
+checkCompiled('recursive', treeU8, {root: 'node'});
+defineStruct('list',
+  {id: 'string=LIST', count: 'uint8<-chunks.length', chunks: ['chunk', 'count']});
+defineStruct('chunk',
+  ['list', {id: 'string:4', size: 'uint8<-data.length', data: ['uint8', 'size']}]);
+var riff = {id: 'LIST', chunks: [
+  {id: 'fmt ', data: [1, 2]},
+  {id: 'LIST', chunks: [{id: 'data', data: [3]}]}
+]};
+var riffU8 = new Uint8Array(encodeStruct('chunk', riff));
+check('mutual recursion', riffU8.length == 5 + 7 + 5 + 6 &&
+  readStruct(new DataView(riffU8.buffer), [0], ['c', 'chunk'])
+    .c.chunks[1].chunks[0].data[0] == 3);
+var rootKind = function(t) {
+  var kind = null;
+  walkStruct(t, function(node) {
+    kind = kind || node.kind;
+  });
+  return kind;
+};
+check('names as field names', rootKind(['node', 'node']) == 'struct' &&
+  rootKind(['node', 'count']) == 'array');
+defineStruct('loop', {next: 'loop'});
+check('recursion without progress',
+  readStruct(new DataView(treeU8.buffer), [0], ['a', 'loop']) == null &&
+  /recursion without progress/.test(readStruct.lastError.message));
+check('recursive layout', sizeOfStruct('node') == null &&
+  layoutOfStruct({a: 'node'}).fields[0].type == 'node');
+var nodePaths = [];
+walkStruct('node', function(node) { nodePaths.push(node.path); });
+check('recursive walk', nodePaths.join() == ',value,count,children,children[]');
+var defineErr = null;
+try {
+  defineStruct('uint8', {});
+} catch(e) {
+  defineErr = e;
+}
+check('built-in names', /built-in/.test(defineErr));
+defineStruct('loop', null);
+check('unregister', rootKind('loop') == 'unknown');
+
+// expressions can use the enclosing structs
+var parentDef = {
+  header: {n: 'uint8<-../items.length', size: 'uint8'},
+  count: 'uint8<-items.length',
+  items: [{
+    data: ['uint8', '../header.size'],
+    tags: ['uint8', '_root.header.n'],
+    total: 'uint8<-../count*../header.size'
+  }, 'header.n']
+};
+var parentU8 = new Uint8Array([2, 1, 2, 7, 1, 2, 2, 8, 3, 4, 2]);
+var parentObj = readStruct(new DataView(parentU8.buffer), [0], parentDef);
+check('parent paths', parentObj && parentObj.items[1].data[0] == 8 &&
+  parentObj.items[1].tags.join() == '3,4');
+parentObj.items[0].total = 0;
+check('parent paths write',
+  new Uint8Array(encodeStruct(parentDef, parentObj)).join() == parentU8.join());
+checkCompiled('parent paths', parentU8, parentDef);
+check('field paths', readStruct(new DataView(parentU8.buffer), [0],
+  {header: parentDef.header, count: 'uint8', first: ['uint8', 'header.n+count']})
+    .first.length == 4);
+var seenParents = null;
+var parentsDef = ['n', 'uint8', 'inner', ['x', function(ds, struct, parents) {
+  seenParents = parents;
+  return ds.readUint8();
+}]];
+readStruct(new DataView(parentU8.buffer), [0], parentsDef);
+check('custom type parents', seenParents && seenParents.length == 1 && seenParents[0].n == 2);
+
+// expressions have precedence, bitwise operators, comparisons and functions
+var exprVals = {a: 2, b: 3, f: 0x35, list: [4, 5, 6], big: BigInt(10)};
+check('expression precedence', StructExpression.evaluate('a+b*2', exprVals) == 8 &&
+  StructExpression.evaluate('(a+b)*2', exprVals) == 10 &&
+  StructExpression.evaluate('10-4-3', exprVals) == 3);
+check('expression bitwise', StructExpression.evaluate('(f >> 4) & 0xF', exprVals) == 3 &&
+  StructExpression.evaluate('f & ~0xF0 | 1 << 3', exprVals) == 13);
+check('expression ternary', StructExpression.evaluate('a < b ? a : b', exprVals) == 2 &&
+  StructExpression.evaluate('a == 2 && !b ? 1 : b != 3 || a >= 2 ? 2 : 3', exprVals) == 2);
+check('expression functions',
+  StructExpression.evaluate('max(a, b, 1) + min(a, b) + align(13, 4)', exprVals) == 21);
+check('expression paths',
+  StructExpression.evaluate('list[a] - list.length + big', exprVals) == 13);
+var boxDef = {
+  flags: 'uint8',
+  length: 'uint8<-flags & 0x80 ? data.length / 2 : data.length',
+  data: ['uint8', 'flags & 0x80 ? length * 2 : length'],
+  pad: ['uint8', 'align(2 + data.length, 4) - 2 - data.length']
+};
+var boxU8 = new Uint8Array(encodeStruct(boxDef, {flags: 0x80, data: [1, 2, 3, 4], pad: [0, 0]}));
+check('expression lengths', boxU8.join() == '128,2,1,2,3,4,0,0' &&
+  readStruct(new DataView(boxU8.buffer), [0], boxDef).pad.length == 2);
+checkCompiled('expression lengths', boxU8, boxDef);
+['a b', 'a +', '(a', 'a ? b', 'a..b', ''].forEach(function(expr) {
+  var err = null;
+  try {
+    StructExpression.parse(expr);
+  } catch(e) {
+    err = e;
+  }
+  check('invalid expression ' + expr, /invalid expression/.test(err));
+});
+var fnErr = null;
+try {
+  StructExpression.parse('eval(1)');
+} catch(e) {
+  fnErr = e;
+}
+check('unknown function', /unknown function 'eval'/.test(fnErr));
+var indexDef = {n: 'uint8', arr: ['uint8', 2], x: ['uint8', 'arr[n]']};
+var indexU8 = new Uint8Array([5, 1, 2, 3]);
+check('expression out of range',
+  readStruct(new DataView(indexU8.buffer), [0], indexDef) == null &&
+  readStruct.lastError.path == 'x' && readStruct.lastError.offset == 3 &&
+  /no value for 'arr\[\]'/.test(readStruct.lastError.reason));
+checkCompiled('expression out of range', indexU8, indexDef);
+var skippedDef = {
+  f: 'uint8',
+  ext: ['if', 'f', {n: 'uint8'}],
+  m: ['if', 'ext.n', 'uint8'],
+  t: ['uint8', 'ext.n']
+};
+check('expression on skipped field',
+  readStruct(new DataView(indexU8.buffer), [0], skippedDef) != null &&
+  readStruct(new DataView(new Uint8Array([0, 1]).buffer), [0], skippedDef) == null &&
+  readStruct.lastError.path == 'm' && readStruct.lastError.offset == 1);
+check('DataStream expression out of range',
+  new DataStream(indexU8.buffer).readStruct(indexDef) == null);
+
+// conditional fields
+var zipDef = {
+  flags: 'uint16le',
+  size: 'uint8<-data.length',
+  data: ['uint8', 'size'],
+  descriptor: ['if', 'flags & 8', {crc: 'uint32le', size: 'uint8<-../data.length'}]
+};
+var zipU8 = new Uint8Array([8, 0, 2, 1, 2, 4, 3, 2, 1, 2]);
+var zip = readStruct(new DataView(zipU8.buffer), [0], zipDef);
+check('conditional present', zip.descriptor.crc == 0x01020304 && zip.descriptor.size == 2);
+var noZip = readStruct(new DataView(new Uint8Array([2, 1, 2]).buffer), [0],
+  ['flags', 'uint8', 'data', ['uint8', 1], 'descriptor', zipDef.descriptor]);
+check('conditional absent', noZip && !('descriptor' in noZip) && noZip.data[0] == 1);
+check('conditional write', new Uint8Array(encodeStruct(zipDef, zip)).join() == zipU8.join() &&
+  measureStruct(zipDef, {flags: 0, data: [1], descriptor: {crc: 1}}) == 4);
+checkCompiled('conditional', zipU8, zipDef);
+checkCompiled('conditional absent', new Uint8Array([0, 0, 1, 5]), zipDef);
+var versionDef = {version: 'uint8', body: [
+  ['if', 'version == 1', {a: 'uint8'}],
+  ['if', "_root.version >= 2", {b: 'uint16'}]
+]};
+check('conditional alternatives',
+  readStruct(new DataView(new Uint8Array([2, 0, 7]).buffer), [0], versionDef).body.b == 7 &&
+  readStruct(new DataView(new Uint8Array([1, 5]).buffer), [0], versionDef).body.a == 5);
+check('conditional false',
+  readStruct(new DataView(new Uint8Array([0, 5, 0]).buffer), [0], versionDef) == null &&
+  /condition is false/.test(readStruct.lastError.alternatives[0].message));
+check('conditional layout',
+  layoutOfStruct({a: 'uint8', b: ['if', 'a', 'uint16'], c: 'uint8'}).dynamic.join() == 'b' &&
+  sameJSON(structToObject(structToPairs(zipDef)), zipDef));
+
+// switch selects the type by value
+var tagDef = {
+  tag: 'uint8',
+  body: ['switch', 'tag', {
+    1: {x: 'uint8'},
+    '0x10..0x1F': 'uint16le',
+    '0xFF': ['uint8', 2]
+  }]
+};
+var tagU8 = new Uint8Array([1, 7, 0x12, 1, 2, 0xFF, 3, 4]);
+var tagDv = new DataView(tagU8.buffer);
+var tags = readStruct(tagDv, [0], {a: tagDef, b: tagDef, c: tagDef});
+check('switch read', tags.a.body.x == 7 && tags.b.body == 0x201 && tags.c.body.join() == '3,4');
+check('switch write',
+  new Uint8Array(encodeStruct({a: tagDef, b: tagDef, c: tagDef}, tags)).join() == tagU8.join());
+checkCompiled('switch', tagU8, {a: tagDef, b: tagDef, c: tagDef});
+check('switch no case', readStruct(tagDv, [1], tagDef) == null &&
+  /no case for 7/.test(readStruct.lastError.message) && readStruct.lastError.actual == 7);
+var noCaseErr = null;
+try {
+  encodeStruct(tagDef, {tag: 2, body: 1});
+} catch(e) {
+  noCaseErr = e;
+}
+check('switch write no case', noCaseErr instanceof StructParseError &&
+  /body: no case for 2/.test(noCaseErr.message));
+var nameDef = ['id', 'string:4',
+  'body', ['switch', 'id', {RIFF: ['size', 'uint8'], LIST: ['n', 'uint16']}, 'uint8']];
+check('switch strings and default',
+  readStruct(new DataView(new Uint8Array([76, 73, 83, 84, 0, 9]).buffer), [0],
+    nameDef).body.n == 9 &&
+  readStruct(new DataView(new Uint8Array([97, 98, 99, 100, 5]).buffer), [0],
+    nameDef).body == 5);
+var switchPaths = [];
+walkStruct(tagDef, function(node) { switchPaths.push(node.path); });
+check('switch walk', switchPaths.join() ==
+  ',tag,body,body|1,body|1.x,body|0x10..0x1F,body|0xFF,body|0xFF[]');
+check('switch layout', sizeOfStruct(tagDef) == null &&
+  sizeOfStruct(['t', 'uint8', 'v', ['switch', 't', {1: 'int16', 2: 'uint16'}]]) == 3 &&
+  sameJSON(structToPairs(structToObject(nameDef)), nameDef));
+
+// repetition until a condition, up to a terminator, to a size and with a limit
+var repDv = function(a) { return new DataView(new Uint8Array(a).buffer); };
+var chunkListDef = {
+  chunks: ['[]', {len: 'uint8', data: ['uint8', 'len']}, {until: '_.len == 0'}],
+  rest: ['[]', 'uint8', {until: '_ == 7 || _index == 2', max: 3}]
+};
+var chunkList = readStruct(repDv([1, 5, 0, 3, 7, 9]), [0], chunkListDef);
+check('repeat until', chunkList.chunks.length == 2 && chunkList.chunks[1].len == 0 &&
+  chunkList.rest instanceof Uint8Array && chunkList.rest.join() == '3,7');
+var exclusive = readStruct(repDv([1, 5, 0, 3]), [0],
+  {chunks: ['[]', chunkListDef.chunks[1], {until: '_.len == 0', inclusive: false}],
+    next: 'uint8'});
+check('repeat until exclusive', exclusive.chunks.length == 1 && exclusive.next == 0);
+var eoiDef = {
+  data: ['[]', 'uint8', {terminator: [0xFF, 0xD9], consume: false}],
+  eoi: 'uint16=0xFFD9'
+};
+var eoi = readStruct(repDv([1, 0xFF, 2, 0xFF, 0xD9]), [0], eoiDef);
+check('terminator sequence', eoi.data.join() == '1,255,2' && eoi.eoi == 0xFFD9);
+var namesDef = {names: ['[]', 'cstring', {terminator: ''}], n: 'uint8'};
+var names = readStruct(repDv([97, 0, 98, 0, 0, 4]), [0], namesDef);
+check('terminator', names.names.join() == 'a,b' && names.n == 4 &&
+  new Uint8Array(encodeStruct(namesDef, names)).join() == '97,0,98,0,0,4');
+check('terminator missing', readStruct(repDv([1, 2]), [0], eoiDef) == null &&
+  /terminator not found/.test(readStruct.lastError.message));
+var sizedDef = {
+  size: 'uint8',
+  items: ['[]', {n: 'uint8', v: ['uint8', 'n']}, {size: 'size'}],
+  after: 'uint8'
+};
+check('repeat to size', readStruct(repDv([3, 1, 9, 0, 5]), [0], sizedDef).items.length == 2 &&
+  readStruct(repDv([2, 2, 9, 9, 5]), [0], sizedDef) == null &&
+  /overrun/.test(readStruct.lastError.message));
+check('repeat to end', readStruct(repDv([1, 2, 3, 4]), [0],
+  {n: 'uint8', a: ['[]', 'uint16le', {end: 'n + 2'}]}).a[0] == 0x302);
+check('repeat limit',
+  readStruct(repDv([1, 2, 3]), [0], {a: ['[]', 'uint8', {max: 3}]}).a.length == 3 &&
+  readStruct(repDv([1, 2, 3]), [0], {a: ['[]', 'uint8', {max: 2}]}) == null &&
+  /more than 2 elements/.test(readStruct.lastError.message));
+checkCompiled('repeat', new Uint8Array([1, 5, 0, 3, 7, 9]), chunkListDef);
+
+// sized chunks
+var sizedChunkDef = {
+  tag: 'uint8',
+  length: 'uint8<-sizeof(data)',
+  data: ['sized', 'length', ['uint8', '*']]
+};
+var sizedDataDef = {chunks: [sizedChunkDef, 2], a: ['sized', 4, {x: 'uint8'}], b: 'uint8'};
+var sizedData = readStruct(repDv([1, 2, 9, 9, 2, 3, 7, 7, 7, 5, 0, 0, 0, 6]), [0], sizedDataDef);
+check('sized', sizedData.chunks[0].data.join() == '9,9' &&
+  sizedData.chunks[1].data.join() == '7,7,7' &&
+  sizedData.a.x == 5 && sizedData.b == 6);
+check('sized overrun',
+  readStruct(repDv([1, 2, 3, 4]), [0], {a: ['sized', 2, 'uint32']}) == null &&
+  /a: unexpected end of data/.test(readStruct.lastError.message) &&
+  readStruct(repDv([1, 5, 3]), [0], {c: sizedChunkDef}) == null);
+check('sized write', new Uint8Array(encodeStruct(sizedDataDef, {
+  chunks: [{tag: 1, data: [9, 9]}, {tag: 2, data: [7]}], a: {x: 5}, b: 6
+})).join() == '1,2,9,9,2,1,7,5,0,0,0,6');
+var sizedErr = null;
+try {
+  encodeStruct({a: ['sized', 1, 'uint16']}, {a: 1});
+} catch(e) {
+  sizedErr = e;
+}
+check('sized write overrun', sizedErr instanceof StructParseError &&
+  /a: overruns its size/.test(sizedErr.message));
+check('sized layout', sizeOfStruct({a: ['sized', 4, {x: 'uint8'}], b: 'uint8'}) == 5 &&
+  layoutOfStruct(sizedChunkDef).dynamic.join() == 'data');
+checkCompiled('sized', new Uint8Array([1, 2, 9, 9, 2, 3, 7, 7, 7, 5, 0, 0, 0, 6]), sizedDataDef);
+
+// byte order by struct and by value
+var orderIfdDef = ['count', 'uint16', 'values', ['[]', 'uint16', 'count'], 'x', 'uint32be'];
+var orderDef = {
+  order: 'string:2',
+  body: ['endian', "order == 'MM' ? 'be' : 'le'", {
+    magic: 'uint16=42',
+    ifd: ['->', 'uint32', orderIfdDef],
+    next: ['~>', 'uint32', orderIfdDef]
+  }]
+};
+var orderLe = [0x49, 0x49, 42, 0, 12, 0, 0, 0, 12, 0, 0, 0, 2, 0, 1, 0, 2, 0, 0, 0, 0, 1];
+var orderBe = [0x4d, 0x4d, 0, 42, 0, 0, 0, 12, 0, 0, 0, 12, 0, 2, 0, 1, 0, 2, 0, 0, 0, 1];
+[orderLe, orderBe].forEach(function(a) {
+  var o = readStruct(repDv(a), [0], orderDef);
+  var ifd = {count: 2, values: [1, 2], x: 1};
+  check('endian ' + o.order, o.body.magic == 42 && o.body.ifd.values[1] == 2 &&
+    o.body.ifd.x == 1 && o.body.next().values[0] == 1 && readStruct.endianness === false);
+  check('endian write ' + o.order, new Uint8Array(encodeStruct(orderDef,
+    {order: o.order, body: {magic: 42, ifd: ifd, next: ifd}})).join() == a.join());
+  checkCompiled('endian ' + o.order, new Uint8Array(a), {order: orderDef.order,
+    body: ['endian', orderDef.body[1], {magic: 'uint16', ifd: ['->', 'uint32', orderIfdDef]}]});
+});
+check('endian constant',
+  readType(repDv([1, 0, 2, 0]), [0], ['endian', 'le', ['uint16', 2]]).join() == '1,2' &&
+  readStruct(repDv([1, 0, 0, 1]), [0],
+    {a: ['endian', true, {b: 'uint16', c: 'uint16be'}]}).a.c == 1);
+check('endian invalid',
+  readStruct(repDv([1, 2]), [0], {a: ['endian', "'x'", 'uint16']}) == null &&
+  /invalid byte order/.test(readStruct.lastError.message));
+var orderLes = [];
+walkStruct({a: ['endian', 'le', {b: 'uint16', c: 'uint16be'}], d: 'uint16'}, function(node) {
+  orderLes.push(node.le);
+});
+check('endian walk', orderLes.join() == ',,true,false,false');
+
+// alignment, padding and C layout
+var riffChunkDef = {
+  id: 'string:4',
+  size: 'uint32le<-sizeof(data)',
+  data: ['uint8', 'size'],
+  pad: ['align', 2]
+};
+var riffDef = {chunks: [riffChunkDef, '*']};
+var riffBuf = encodeStruct(riffDef,
+  {chunks: [{id: 'abcd', data: [1, 2, 3]}, {id: 'efgh', data: [4]}]});
+var riff = readStruct(new DataView(riffBuf), [0], riffDef);
+check('align',
+  new Uint8Array(riffBuf).join() == '97,98,99,100,3,0,0,0,1,2,3,0,101,102,103,104,1,0,0,0,4,0' &&
+  riff.chunks.length == 2 && riff.chunks[1].data[0] == 4 && riff.chunks[0].pad == 1);
+var alignStructDef = {
+  x: 'uint8',
+  s: {y: 'uint8', p: ['align', 4, 'struct', 0xFF], z: 'uint8'},
+  q: ['align', 4]
+};
+check('align struct',
+  new Uint8Array(encodeStruct(alignStructDef, {x: 1, s: {y: 2, z: 3}})).join() ==
+    '1,2,255,255,255,3,0,0' &&
+  sizeOfStruct(alignStructDef) == 8 && layoutOfStruct(alignStructDef).fields[3].size == 3);
+check('align end of data',
+  readStruct(repDv([1, 2]), [0], {a: 'uint8', p: ['align', 4]}) == null &&
+  /p: unexpected end of data/.test(readStruct.lastError.message));
+checkCompiled('align', new Uint8Array(riffBuf), riffDef);
+var cFieldsDef = {a: 'uint8', b: 'uint32le', c: 'uint16le'};
+var cDef = {h: 'uint8', items: ['cstruct', [cFieldsDef, 2]], packed: ['cstruct', cFieldsDef, 2]};
+var cBuf = new Uint8Array(encodeStruct(cDef, {
+  h: 9,
+  items: [{a: 1, b: 2, c: 3}, {a: 4, b: 5, c: 6}],
+  packed: {a: 7, b: 8, c: 9}
+}));
+check('cstruct',
+  cBuf.join() == '9,1,0,0,0,2,0,0,0,3,0,0,0,4,0,0,0,5,0,0,0,6,0,0,0,7,0,8,0,0,0,9,0' &&
+  readStruct(new DataView(cBuf.buffer), [0], cDef).items[1].c == 6 &&
+  readStruct(new DataView(cBuf.buffer), [0], cDef).packed.c == 9);
+check('cstruct layout', sizeOfStruct(['cstruct', cFieldsDef]) == 12 &&
+  sizeOfStruct(['cstruct', cFieldsDef, 2]) == 8 &&
+  sizeOfStruct(['cstruct', {x: 'uint8', inner: cFieldsDef, y: 'float64le'}]) == 24 &&
+  layoutOfStruct(['cstruct', cFieldsDef]).fields.map(function(f) {
+    return f.offset;
+  }).join() == '0,4,8');
+checkCompiled('cstruct', cBuf, cDef);
+var oddBuf = new Uint8Array([0, 1, 0, 2, 0, 3, 0]).buffer;
+check('typed array at a byte offset',
+  readStruct(new DataView(oddBuf, 1), [0], {a: ['uint16', 3]}).a.join() == '256,512,768' &&
+  readStruct(new DataView(oddBuf, 2, 4), [0], {a: ['uint8', 5]}) == null);
+
+console.log('success: ', success);
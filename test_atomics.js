@@ -0,0 +1,45 @@
+// Tests the ABStruct atomic operations across threads: node test_atomics.js
+var fs = require('fs');
+var vm = require('vm');
+var threads = require('worker_threads');
+
+['TextCodec.js', 'ABstruct.js'].forEach(function(f) {
+  vm.runInThisContext(fs.readFileSync(__dirname + '/' + f, 'utf8'), {filename: f});
+});
+
+var State = ABStruct.create({
+  total: 'int64',
+  start: 'int32',
+  done: 'int32',
+  count: 'uint32'
+}, ABStruct.littleEndian, ['start', 'done', 'count', 'total']);
+
+var workers = 4, n = 10000;
+
+if (threads.isMainThread) {
+  var s = new State(new DataView(new SharedArrayBuffer(State.byteLength)));
+  for (var i=0; i<workers; i++) {
+    new threads.Worker(__filename, {workerData: s.dataView.buffer}).unref();
+  }
+  s.atomicStore('start', 1);
+  s.notify('start');
+  var done;
+  while ((done = s.atomicLoad('done')) < workers) {
+    if (s.wait('done', done, 10000) == 'timed-out') {
+      throw('workers timed out');
+    }
+  }
+  if (s.count != workers * n || s.total != BigInt(workers * n * 3)) {
+    throw('atomic add lost updates: ' + s.count + ', ' + s.total);
+  }
+  console.log('atomics passed');
+} else {
+  var s = new State(new DataView(threads.workerData));
+  s.wait('start', 0, 10000);
+  for (var i=0; i<n; i++) {
+    s.add('count', 1);
+    s.add('total', 3);
+  }
+  s.add('done', 1);
+  s.notify('done');
+}